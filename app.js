@@ -3,13 +3,13 @@ let HP = 128;
 let WP = 128;
 let NUM_PCS = 84;
 
-// Maximum grid size
-const MAX_HG = 4;
-const MAX_WG = 6;
-
 // Current dataset
 let currentDataset = 'anime1';
 
+// Datasets listed in data/index.json, keyed by id, in index order
+let datasets = {};
+let datasetOrder = [];
+
 // Circular buffer settings
 const BUFFER_SIZE = 3;
 
@@ -23,12 +23,23 @@ let worker;
 let isReady = false;
 let animationRunning = false;
 
-// WebGL variables
-let gl;
-let program;
-let vao;
-let textures = [];
-let pbos = [];
+// Bumped on every dataset or grid change; worker messages tagged with an
+// older epoch belong to a superseded configuration and are dropped
+let epoch = 0;
+let paramsLoadedResolve = null;
+
+// Request/reply round trips to the worker, keyed by requestId
+let nextRequestId = 1;
+let pendingRequests = new Map();
+
+// Display (renderer.js) on the page's canvas; gl is its context.
+// Both stay null while the worker draws on the canvas instead.
+let renderer = null;
+let gl = null;
+// True once the canvas has been transferred to the worker (OffscreenCanvas)
+let offscreen = false;
+// Frame the worker is displaying, from its display_stats
+let offscreenFrame = 0;
 
 // Animation state
 let currTexIdx = 0;
@@ -40,8 +51,18 @@ let imageQueue = [];
 let queueWaiters = [];
 const MAX_QUEUE_SIZE = BUFFER_SIZE;
 
-// Progressive upload state
-let pendingUpload = null;
+// Set while something else (the recorder) drives the texture ring
+let animationHeld = false;
+// True while animate() is blocked in queueGet()
+let animateWaiting = false;
+
+// Paused: animate() stops scheduling itself, and once the queue is full the
+// worker stops generating too (no queue_has_space). While paused, 'step'
+// plays one transition and 'draw' draws the current frame once.
+let paused = false;
+let pauseAction = null;
+// Whether an animate() call is scheduled or running
+let animateLoopActive = false;
 
 // FPS tracking
 let frameCount = 0;
@@ -50,49 +71,34 @@ let fps = 0;
 let lastFrameTime = performance.now();
 let frameTimeAvg = 0;
 let workerTimeAvg = 0;
+// Smoothed per-stage worker times (sample, reconstruct, pack) and the backend doing them
+let stageTimeAvg = {};
+let workerBackend = '';
+// Reconstruction batches the last worker-rendered frame took (large grids)
+let workerBatches = 0;
 
-// PCA Parameters (controllable by sliders)
-let pcaParams = {
-    k: 0.9,
-    s: 0.9,
-    p: 1.0,
-    num_pc: 84
-};
+// PCA Parameters (controllable by sliders): every dynamics process' own plus num_pc
+let pcaParams = Object.assign(PCADynamics.defaultParams(), { num_pc: 84 });
+
+// Process the random walk follows (dynamics.js); its schema decides the sliders
+let dynamics = 'ar1';
 
 let steps = 10;
 const dt_base = 1.0;
 let dt = dt_base / steps;
 
-// Vertex shader
-const vertexShaderSource = `#version 300 es
-layout (location = 0) in vec2 aPos;
-layout (location = 1) in vec2 aUV;
-out vec2 uv;
-
-void main() {
-    gl_Position = vec4(aPos, 0.0, 1.0);
-    uv = aUV;
-}
-`;
-
-// Fragment shader
-const fragmentShaderSource = `#version 300 es
-precision highp float;
-in vec2 uv;
-out vec4 FragColor;
-
-uniform sampler2D texA;
-uniform sampler2D texB;
-uniform float t;
-
-void main() {
-    vec3 colorA = texture(texA, uv).rgb;
-    vec3 colorB = texture(texB, uv).rgb;
-    vec3 result = mix(colorA, colorB, t);
-    FragColor = vec4(result, 1.0);
-}
-`;
+// Reproducible sequence: the worker seeds z from `seed`; frames are walk
+// steps since seeding. startFrame only applies to the first load from a URL.
+let seed = PCARandom.randomSeed();
+let startFrame = 0;
+// Seeking replays the walk, so links seek no further than the sampler does
+const MAX_START_FRAME = 100000;
+let slotFrames = new Array(BUFFER_SIZE).fill(0);
+// Frames per sampler step in each slot (the worker's latent in-betweens)
+let slotSubframes = new Array(BUFFER_SIZE).fill(1);
 
+// How consecutive frames are blended (transitions.js), from the controls panel
+let transition = { style: 'fade', easing: 'linear' };
 
 // Dataset switching
 async function switchDataset(datasetName) {
@@ -115,142 +121,257 @@ async function switchDataset(datasetName) {
     await loadDatasetWithGrid(datasetName, HG, WG);
 }
 
+// Stop the animation and drop queued frames before a dataset or grid change
+function resetDisplay() {
+    animationRunning = false;
+    
+    // Wake anyone blocked in queueGet() so they can bail out
+    imageQueue = [];
+    const waiters = queueWaiters;
+    queueWaiters = [];
+    waiters.forEach(resolve => resolve(null));
+    
+    t = 0.0;
+    currTexIdx = 0;
+    nextTexIdx = 1;
+}
+
 // Load dataset - waits for params from worker
 function loadDatasetWithGrid(datasetName, hg, wg) {
     return new Promise((resolve) => {
-        // Stop animation
-        animationRunning = false;
-        
-        // Clear queue
-        imageQueue = [];
-        queueWaiters = [];
-        pendingUpload = null;
-        t = 0.0;
-        currTexIdx = 0;
-        nextTexIdx = 1;
-        
-        // Terminate old worker
-        if (worker) {
-            worker.terminate();
-        }
-        
-        worker = new Worker('worker.js');
+        closeInspector();
+        clearKeyframes();
+        clearProjection();
+        resetDisplay();
+        epoch++;
         isReady = false;
         
-        worker.onmessage = function(e) {
-            const { type, slotIdx, data, generationTime } = e.data;
-            
-            switch(type) {
-                case 'params_loaded':
-                    // Worker has loaded params.bin
-                    NUM_PCS = e.data.NUM_PCS;
-                    HP = e.data.HP;
-                    WP = e.data.WP;
-                    
-                    console.log(`Dataset params: NUM_PCS=${NUM_PCS}, HP=${HP}, WP=${WP}`);
-                    
-                    // Update num_pc slider max
-                    const numPcSlider = document.getElementById('num_pc-slider');
-                    numPcSlider.max = NUM_PCS;
-                    if (pcaParams.num_pc > NUM_PCS) {
-                        pcaParams.num_pc = NUM_PCS;
-                        numPcSlider.value = NUM_PCS;
-                        document.getElementById('num_pc-value').textContent = NUM_PCS;
-                    }
-                    
-                    // Update global dimensions
-                    HG = hg;
-                    WG = wg;
-                    g_tex_H = HP * HG;
-                    g_tex_W = WP * WG;
-                    
-                    // Tell worker about grid size
-                    worker.postMessage({ type: 'set_grid', HG: HG, WG: WG });
-                    
-                    // Reinitialize WebGL with new dimensions
-                    cleanupWebGL();
-                    initWebGL();
-                    
-                    resolve();
-                    break;
-                    
-                case 'ready':
-                    isReady = true;
-                    console.log(`Worker ready with dataset: ${datasetName}, grid: ${HG}x${WG}`);
-                    worker.postMessage({ type: 'start_generating' });
-                    fillBuffer();
-                    break;
-                    
-                case 'image':
-                    queuePut({ slotIdx, imageData: data, generationTime });
-                    break;
-                    
-                case 'error':
-                    console.error('Worker error:', data);
-                    alert('Error: ' + data);
-                    break;
-            }
-        };
+        HG = hg;
+        WG = wg;
+        paramsLoadedResolve = resolve;
         
-        worker.onerror = function(error) {
-            console.error('Worker error:', error);
-        };
+        // Send dataset manifest to worker
+        const { manifest, baseUrl } = datasets[datasetName];
+        worker.postMessage({
+            type: 'load_dataset',
+            dataset: datasetName,
+            manifest,
+            baseUrl,
+            HG: hg,
+            WG: wg,
+            params: pcaParams,
+            renderMode,
+            seed,
+            frame: startFrame,
+            epoch
+        });
+        startFrame = 0;
         
-        // Send dataset name to worker
-        worker.postMessage({ type: 'load_dataset', dataset: datasetName });
+        // A dataset an override names may have become the current one, or stopped being it
+        if (tileOverrides.length > 0) sendTileOverrides();
     });
 }
 
+// Change the grid size, keeping the loaded dataset and existing tiles
+function setGrid(hg, wg) {
+    closeInspector();
+    resetDisplay();
+    epoch++;
+    isReady = false;
+    
+    HG = hg;
+    WG = wg;
+    g_tex_H = HP * HG;
+    g_tex_W = WP * WG;
+    
+    configureDisplay();
+    updateGalleryCaptions();
+    
+    worker.postMessage({ type: 'set_grid', HG: hg, WG: wg, epoch });
+}
+
+// Restart the sequence from a new seed, keeping dataset and grid; `frame`
+// seeks within the sequence (the parameters must not have changed meanwhile)
+function reseed(newSeed, frame = 0) {
+    resetDisplay();
+    epoch++;
+    isReady = false;
+    seed = newSeed >>> 0;
+    
+    worker.postMessage({ type: 'reseed', seed, frame, epoch });
+    refreshInspector();
+}
+
+// Replace the latents of every tile; the snapshot may come from another grid size
+async function setLatents(snapshot) {
+    resetDisplay();
+    epoch++;
+    isReady = false;
+    
+    const z = new Float32Array(snapshot.z);
+    await requestFromWorker({
+        type: 'set_latents',
+        NUM_PCS: snapshot.NUM_PCS,
+        HG: snapshot.HG,
+        WG: snapshot.WG,
+        z,
+        epoch
+    }, [z.buffer]);
+    refreshInspector();
+}
+
+// Load data/index.json and the manifests it lists
+async function loadDatasetIndex() {
+    const response = await fetch('data/index.json');
+    if (!response.ok) {
+        throw new Error(`Failed to fetch dataset index: ${response.status} ${response.statusText}`);
+    }
+    const index = await response.json();
+    
+    const entries = await Promise.all(index.datasets.map(async (path) => {
+        const url = `data/${path}`;
+        try {
+            const res = await fetch(url);
+            if (!res.ok) {
+                throw new Error(`${res.status} ${res.statusText}`);
+            }
+            const manifest = PCADataset.validateManifest(await res.json());
+            return { manifest, baseUrl: url.substring(0, url.lastIndexOf('/')) };
+        } catch (err) {
+            // A broken manifest only hides its own dataset
+            console.error(`Skipping dataset ${url}:`, err);
+            return null;
+        }
+    }));
+    
+    datasets = {};
+    datasetOrder = [];
+    for (const entry of entries) {
+        if (!entry) continue;
+        datasets[entry.manifest.id] = entry;
+        datasetOrder.push(entry.manifest.id);
+    }
+    
+    if (datasetOrder.length === 0) {
+        throw new Error('No usable datasets in data/index.json');
+    }
+    if (!datasets[currentDataset]) {
+        currentDataset = datasetOrder[0];
+    }
+}
 
-// Initialize dataset buttons
+// Build dataset buttons from the loaded manifests
 function initDatasetButtons() {
-    document.querySelectorAll('.dataset-btn').forEach(btn => {
+    const container = document.querySelector('.dataset-buttons');
+    container.innerHTML = '';
+    
+    for (const id of datasetOrder) {
+        const btn = document.createElement('button');
+        btn.className = 'dataset-btn';
+        btn.dataset.dataset = id;
+        btn.textContent = datasets[id].manifest.display_name || id;
+        if (id === currentDataset) {
+            btn.classList.add('active');
+        }
         btn.addEventListener('click', () => {
             switchDataset(btn.dataset.dataset);
         });
-    });
+        container.appendChild(btn);
+    }
+}
+
+// Decimals a schema field's value is shown with, from its step
+function fieldDecimals(field) {
+    const step = String(field.step);
+    return step.includes('.') ? step.length - step.indexOf('.') - 1 : 0;
+}
+
+// Replace the dynamics sliders with those of the current process' schema.
+// Slider ids follow the params (k-slider, s-value, ...).
+function buildDynamicsSliders() {
+    const container = document.getElementById('dynamics-controls');
+    container.innerHTML = '';
+    
+    for (const field of PCADynamics.getProcess(dynamics).schema) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.className = 'label-text';
+        text.textContent = field.label;
+        const value = document.createElement('span');
+        value.className = 'value';
+        value.id = `${field.key}-value`;
+        label.append(text, value);
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `${field.key}-slider`;
+        slider.min = field.min;
+        slider.max = field.max;
+        slider.step = field.step;
+        slider.addEventListener('input', () => {
+            pcaParams[field.key] = parseFloat(slider.value);
+            value.textContent = pcaParams[field.key].toFixed(fieldDecimals(field));
+            updateWorkerParams();
+        });
+        
+        group.append(label, slider);
+        container.appendChild(group);
+    }
+    syncDynamicsSliders();
+}
+
+function syncDynamicsSliders() {
+    for (const field of PCADynamics.getProcess(dynamics).schema) {
+        document.getElementById(`${field.key}-slider`).value = pcaParams[field.key];
+        document.getElementById(`${field.key}-value`).textContent = pcaParams[field.key].toFixed(fieldDecimals(field));
+    }
+}
+
+// Switch the walk's process and rebuild the sliders for it
+function setDynamics(name) {
+    dynamics = PCADynamics.PROCESSES[name] ? name : 'ar1';
+    document.getElementById('dynamics-select').value = dynamics;
+    buildDynamicsSliders();
+    updateTileOverrideList();
+    updateControllerTargets();
+    if (worker) worker.postMessage({ type: 'set_dynamics', dynamics });
+    writeStateToHash();
+}
+
+function initDynamicsSelect() {
+    const select = document.getElementById('dynamics-select');
+    for (const name of PCADynamics.NAMES) {
+        select.add(new Option(PCADynamics.PROCESSES[name].label, name));
+    }
+    select.value = dynamics;
+    select.addEventListener('change', () => setDynamics(select.value));
+}
+
+// Display steps per transition (the speed slider, or audio mappings)
+function setSteps(value) {
+    value = Math.min(100, Math.max(1, value));
+    if (value === steps) return;
+    steps = value;
+    dt = dt_base / steps;
+    // Only an offscreen display paces frames in the worker
+    if (offscreen) {
+        worker.postMessage({ type: 'set_steps', steps });
+    }
 }
 
 // Initialize sliders
 function initSliders() {
-    // K slider
-    const kSlider = document.getElementById('k-slider');
-    const kValue = document.getElementById('k-value');
-    kSlider.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value) / 100;
-        pcaParams.k = value;
-        kValue.textContent = value.toFixed(2);
-        updateWorkerParams();
-    });
-    
-    // S slider
-    const sSlider = document.getElementById('s-slider');
-    const sValue = document.getElementById('s-value');
-    sSlider.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value) / 100;
-        pcaParams.s = value;
-        sValue.textContent = value.toFixed(2);
-        updateWorkerParams();
-    });
+    buildDynamicsSliders();
     
     // Steps slider
     const stepsSlider = document.getElementById('steps-slider');
     const stepsValue = document.getElementById('steps-value');
     stepsSlider.addEventListener('input', (e) => {
-        steps = parseInt(e.target.value);
-        dt = dt_base / steps;
+        setSteps(parseInt(e.target.value));
         stepsValue.textContent = steps;
-        // No need to update worker for steps
-    });
-    
-    // P slider
-    const pSlider = document.getElementById('p-slider');
-    const pValue = document.getElementById('p-value');
-    pSlider.addEventListener('input', (e) => {
-        const value = parseFloat(e.target.value) / 100;
-        pcaParams.p = value;
-        pValue.textContent = value.toFixed(2);
-        updateWorkerParams();
     });
     
     // Num PC slider
@@ -259,10 +380,23 @@ function initSliders() {
     numPcSlider.addEventListener('input', (e) => {
         pcaParams.num_pc = parseInt(e.target.value);
         numPcValue.textContent = pcaParams.num_pc;
+        updateVarianceLabel();
         updateWorkerParams();
     });
 }
 
+// Reflect pcaParams and steps in the slider controls
+function syncSliders() {
+    const set = (name, sliderValue, text) => {
+        document.getElementById(`${name}-slider`).value = sliderValue;
+        document.getElementById(`${name}-value`).textContent = text;
+    };
+    syncDynamicsSliders();
+    set('steps', steps, steps);
+    set('num_pc', pcaParams.num_pc, pcaParams.num_pc);
+    updateVarianceLabel();
+}
+
 // Update worker with new parameters
 function updateWorkerParams() {
     if (worker && isReady) {
@@ -273,54 +407,46 @@ function updateWorkerParams() {
     }
 }
 
-// Calculate optimal grid size based on screen dimensions
+// Grid for the current layout: fixed, or as many tiles as the display area
+// holds at the tile scale (1 unless fixed). Fill mode rounds up so the
+// canvas covers the area, cropping the outer tiles.
 function calculateGridSize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    
-    // Account for UI elements
-    const headerHeight = document.querySelector('h1')?.offsetHeight || 50;
-    const statsHeight = document.querySelector('.stats')?.offsetHeight || 40;
-    const controlsHeight = document.querySelector('.controls-panel')?.offsetHeight || 100;
-    const uiHeight = headerHeight + statsHeight + controlsHeight + 20; // 20px extra padding
-    
-    const availableHeight = height - uiHeight;
-    
-    // Calculate how many tiles can fit
-    const maxTilesW = Math.floor(width / WP);
-    const maxTilesH = Math.floor(availableHeight / HP);
-    
-    // Clamp to maximum
-    const newWG = Math.min(maxTilesW, MAX_WG);
-    const newHG = Math.min(maxTilesH, MAX_HG);
+    if (layout.grid === 'fixed') {
+        return clampGrid(layout.rows, layout.cols);
+    }
     
-    // Ensure at least 1x1
-    return {
-        HG: Math.max(1, newHG),
-        WG: Math.max(1, newWG)
-    };
+    const area = availableArea();
+    const tileScale = fixedTileScale() || 1;
+    const round = layout.fill ? Math.ceil : Math.floor;
+    return clampGrid(round(area.height / (HP * tileScale)), round(area.width / (WP * tileScale)));
 }
 
-// Calculate canvas size to fit screen while maintaining aspect ratio
+// Canvas display size for the grid under the layout's tile scale
 function calculateCanvasSize(hg, wg) {
     const idealWidth = wg * WP;
     const idealHeight = hg * HP;
-    
-    const screenWidth = window.innerWidth;
-    const screenHeight = window.innerHeight;
-    
-    // Account for UI elements
-    const headerHeight = document.querySelector('h1')?.offsetHeight || 50;
-    const statsHeight = document.querySelector('.stats')?.offsetHeight || 40;
-    const controlsHeight = document.querySelector('.controls-panel')?.offsetHeight || 100;
-    const uiHeight = headerHeight + statsHeight + controlsHeight + 20; // 20px extra padding
-    
-    const availableHeight = screenHeight - uiHeight;
-    
-    // Scale to fit screen
-    const scaleW = screenWidth / idealWidth;
-    const scaleH = availableHeight / idealHeight;
-    const scale = Math.min(scaleW, scaleH, 1.0); // Don't scale up
+    const area = availableArea();
+    
+    // Scale that fits the grid in the area, or covers the area in fill mode
+    const fit = layout.fill
+        ? Math.max(area.width / idealWidth, area.height / idealHeight)
+        : Math.min(area.width / idealWidth, area.height / idealHeight);
+    
+    let scale;
+    switch (layout.scale) {
+        case 'fit':
+            scale = layout.fill ? fit : Math.min(fit, 1.0); // Don't scale up
+            break;
+        case 'integer':
+            // Below 1x there is no whole factor left, so it shrinks like 'fit'
+            scale = fit < 1 ? fit : layout.fill ? Math.ceil(fit) : Math.floor(fit);
+            break;
+        case 'smooth':
+            scale = fit;
+            break;
+        default:
+            scale = fixedTileScale();
+    }
     
     return {
         width: Math.floor(idealWidth * scale),
@@ -328,137 +454,33 @@ function calculateCanvasSize(hg, wg) {
     };
 }
 
-// Compile shader
-function compileShader(gl, source, type) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Shader compile error:', gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
-    }
-    
-    return shader;
-}
-
-// Create shader program
-function createProgram(gl, vsSource, fsSource) {
-    const vs = compileShader(gl, vsSource, gl.VERTEX_SHADER);
-    const fs = compileShader(gl, fsSource, gl.FRAGMENT_SHADER);
-    
-    const program = gl.createProgram();
-    gl.attachShader(program, vs);
-    gl.attachShader(program, fs);
-    gl.linkProgram(program);
-    
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error('Program link error:', gl.getProgramInfoLog(program));
-        return null;
+// The page's renderer, created on first use; null without WebGL2
+function ensureRenderer() {
+    if (!renderer && !offscreen) {
+        renderer = PCARenderer.createRenderer(document.getElementById('canvas'));
+        if (!renderer) {
+            alert('WebGL 2 not supported');
+            return null;
+        }
+        gl = renderer.gl;
+        renderer.setTransition(transition);
     }
-    
-    return program;
+    return renderer;
 }
 
-// Initialize WebGL
-function initWebGL() {
-    const canvas = document.getElementById('canvas');
-    
-    // Calculate optimal size
-    const size = calculateCanvasSize(HG, WG);
-    canvas.width = g_tex_W;
-    canvas.height = g_tex_H;
-    canvas.style.width = size.width + 'px';
-    canvas.style.height = size.height + 'px';
-    
-    gl = canvas.getContext('webgl2');
-    if (!gl) {
-        alert('WebGL 2 not supported');
-        return false;
-    }
-    
-    console.log('WebGL Version:', gl.getParameter(gl.VERSION));
+// Size the canvas for the grid and set up the ring for the render mode.
+// With an offscreen display the worker sizes and configures its own canvas.
+function configureDisplay() {
+    const size = resizeCanvas();
     console.log(`Grid: ${HG}x${WG}, Texture: ${g_tex_W}x${g_tex_H}, Display: ${size.width}x${size.height}`);
     
-    // Compile shaders
-    program = createProgram(gl, vertexShaderSource, fragmentShaderSource);
-    
-    // Create fullscreen quad
-    const quad = new Float32Array([
-         1.0,  1.0,  1.0, 0.0,
-         1.0, -1.0,  1.0, 1.0,
-        -1.0, -1.0,  0.0, 1.0,
-        -1.0,  1.0,  0.0, 0.0
-    ]);
-    
-    const indices = new Uint32Array([0, 1, 3, 1, 2, 3]);
-    
-    // Create VAO
-    vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
-    
-    // Create VBO
-    const vbo = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
-    gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
-    
-    // Create EBO
-    const ebo = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ebo);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
-    
-    // Position attribute
-    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 4 * 4, 0);
-    gl.enableVertexAttribArray(0);
-    
-    // UV attribute
-    gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 4 * 4, 2 * 4);
-    gl.enableVertexAttribArray(1);
-    
-    // Create circular buffer of textures
-    for (let i = 0; i < BUFFER_SIZE; i++) {
-        const texture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB8, g_tex_W, g_tex_H, 0, gl.RGB, gl.UNSIGNED_BYTE, null);
-        textures.push(texture);
-    }
-    
-    // Create PBOs
-    const pboSize = g_tex_W * g_tex_H * 3;
-    for (let i = 0; i < BUFFER_SIZE; i++) {
-        const pbo = gl.createBuffer();
-        gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, pbo);
-        gl.bufferData(gl.PIXEL_UNPACK_BUFFER, pboSize, gl.STREAM_DRAW);
-        pbos.push(pbo);
-    }
-    
-    gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindVertexArray(null);
-    
-    return true;
-}
-
-// Cleanup WebGL resources
-function cleanupWebGL() {
-    if (!gl) return;
-    
-    // Delete textures
-    for (let tex of textures) {
-        gl.deleteTexture(tex);
-    }
-    textures = [];
-    
-    // Delete PBOs
-    for (let pbo of pbos) {
-        gl.deleteBuffer(pbo);
-    }
-    pbos = [];
+    if (offscreen || !ensureRenderer()) return;
+    renderer.configure({
+        mode: renderMode === 'gpu' ? 'latents' : 'image',
+        HG, WG, HP, WP,
+        numPcs: NUM_PCS,
+        slots: BUFFER_SIZE
+    });
 }
 
 // Blocking queue: put
@@ -472,7 +494,7 @@ function queuePut(item) {
     }
     
     if (imageQueue.length < MAX_QUEUE_SIZE) {
-        worker.postMessage({ type: 'queue_has_space' });
+        worker.postMessage({ type: 'queue_has_space', epoch });
     }
 }
 
@@ -482,7 +504,7 @@ function queueGet() {
         if (imageQueue.length > 0) {
             resolve(imageQueue.shift());
             if (imageQueue.length < MAX_QUEUE_SIZE) {
-                worker.postMessage({ type: 'queue_has_space' });
+                worker.postMessage({ type: 'queue_has_space', epoch });
             }
         } else {
             queueWaiters.push(resolve);
@@ -490,85 +512,16 @@ function queueGet() {
     });
 }
 
-// Convert RGBA to RGB
-function convertRGBAtoRGB(rgbaData) {
-    const rgbData = new Uint8Array(g_tex_W * g_tex_H * 3);
-    for (let i = 0; i < g_tex_W * g_tex_H; i++) {
-        rgbData[i * 3] = rgbaData[i * 4];
-        rgbData[i * 3 + 1] = rgbaData[i * 4 + 1];
-        rgbData[i * 3 + 2] = rgbaData[i * 4 + 2];
-    }
-    return rgbData;
-}
-
-// Upload entire texture
-function uploadTextureComplete(slotIdx, imageData) {
-    const rgbData = convertRGBAtoRGB(imageData);
-    gl.bindTexture(gl.TEXTURE_2D, textures[slotIdx]);
-    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, g_tex_W, g_tex_H, gl.RGB, gl.UNSIGNED_BYTE, rgbData);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-}
-
-// Upload chunk with PBO
-function uploadTextureChunkWithPBO(texIdx, pboIdx, rgbData, yOffset, chunkHeight) {
-    const rowBytes = g_tex_W * 3;
-    const startByte = yOffset * rowBytes;
-    const chunkBytes = chunkHeight * rowBytes;
-    const chunkData = rgbData.subarray(startByte, startByte + chunkBytes);
-    
-    gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, pbos[pboIdx]);
-    gl.bufferSubData(gl.PIXEL_UNPACK_BUFFER, startByte, chunkData);
-    
-    gl.bindTexture(gl.TEXTURE_2D, textures[texIdx]);
-    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, yOffset, g_tex_W, chunkHeight, gl.RGB, gl.UNSIGNED_BYTE, startByte);
-    
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
-}
-
-// Process progressive upload
-function processProgressiveUpload() {
-    if (!pendingUpload) return;
-    
-    const { slotIdx, pboIdx, rgbData, rowsUploaded } = pendingUpload;
-    
-    const rowsLeft = g_tex_H - rowsUploaded;
-    const framesLeft = Math.max(1, Math.floor((1.0 - t) / dt));
-    const rowsToUpload = Math.min(rowsLeft, Math.floor(rowsLeft / framesLeft) + 1);
-    
-    uploadTextureChunkWithPBO(slotIdx, pboIdx, rgbData, rowsUploaded, rowsToUpload);
-    
-    pendingUpload.rowsUploaded += rowsToUpload;
-    
-    if (pendingUpload.rowsUploaded >= g_tex_H) {
-        pendingUpload = null;
-    }
-}
-
 // Render
 function render() {
-    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
-    gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    
-    gl.useProgram(program);
-    
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, textures[currTexIdx]);
-    const texALoc = gl.getUniformLocation(program, 'texA');
-    gl.uniform1i(texALoc, 0);
-    
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, textures[nextTexIdx]);
-    const texBLoc = gl.getUniformLocation(program, 'texB');
-    gl.uniform1i(texBLoc, 1);
-    
-    const tLoc = gl.getUniformLocation(program, 't');
-    gl.uniform1f(tLoc, t);
-    
-    gl.bindVertexArray(vao);
-    gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
-    gl.bindVertexArray(null);
+    renderer.draw(currTexIdx, nextTexIdx, t);
+}
+
+// Show how many components have streamed in; hidden once the basis is complete
+function updateLoadProgress(loaded, total) {
+    const el = document.getElementById('load-progress');
+    el.textContent = `Components: ${loaded}/${total}`;
+    el.style.display = loaded < total ? 'inline-block' : 'none';
 }
 
 // Update FPS
@@ -583,24 +536,69 @@ function updateFPS() {
     
     if (elapsed >= 1000) {
         fps = Math.round((frameCount * 1000) / elapsed);
-        document.getElementById('fps').textContent = 
-            `FPS: ${fps} | Frame: ${frameTimeAvg.toFixed(1)}ms | Worker: ${workerTimeAvg.toFixed(1)}ms | Grid: ${HG}x${WG}`;
+        showStats();
         frameCount = 0;
         lastFpsUpdate = now;
+        
+        writeStateToHash();
+    }
+}
+
+function showStats() {
+    document.getElementById('fps').textContent = 
+        `FPS: ${fps} | Frame: ${frameTimeAvg.toFixed(1)}ms | Worker: ${workerTimeAvg.toFixed(1)}ms${formatStageTimes()}` +
+        `${workerBatches > 1 ? ` in ${workerBatches} batches` : ''} | ` +
+        `Backend: ${workerBackend}${renderMode === 'gpu' ? ' + GPU shader' : ''}${offscreen ? ' | Offscreen' : ''} | Grid: ${HG}x${WG}`;
+}
+
+// Stats from the worker's display loop while it owns the canvas
+function applyDisplayStats(stats) {
+    fps = stats.fps;
+    frameTimeAvg = stats.frameTime;
+    workerTimeAvg = stats.workerTime;
+    stageTimeAvg = stats.timings;
+    workerBatches = stats.batches || 0;
+    offscreenFrame = stats.frame;
+    showStats();
+    writeStateToHash();
+}
+
+// Fold a frame's worker timings into the running averages
+function recordWorkerTimings(item) {
+    workerTimeAvg = workerTimeAvg * 0.9 + item.generationTime * 0.1;
+    workerBatches = item.batches || 0;
+    
+    // Stages a frame did not run (e.g. reconstruction in GPU mode) drop out
+    const timings = item.timings || {};
+    for (const stage of Object.keys(stageTimeAvg)) {
+        if (!(stage in timings)) delete stageTimeAvg[stage];
+    }
+    for (const [stage, ms] of Object.entries(timings)) {
+        stageTimeAvg[stage] = stage in stageTimeAvg ? stageTimeAvg[stage] * 0.9 + ms * 0.1 : ms;
     }
 }
 
+// Worker stages for the stats bar, e.g. " (z 0.4 + recon 10.2 + pack 1.7)"
+function formatStageTimes() {
+    const labels = { sample: 'z', reconstruct: 'recon', pack: 'pack' };
+    const parts = Object.entries(stageTimeAvg).map(([stage, ms]) => `${labels[stage] || stage} ${ms.toFixed(1)}`);
+    return parts.length > 1 ? ` (${parts.join(' + ')})` : '';
+}
+
 // Modify the animate function to remove progress bar update
 async function animate() {
-    if (!animationRunning) {
+    if (!animationRunning || animationHeld) {
         requestAnimationFrame(animate);
         return;
     }
+    if (paused && !pauseAction) {
+        animateLoopActive = false;
+        return;
+    }
     
     // Step 1: Progressive upload
-    if (pendingUpload) {
-        processProgressiveUpload();
-        // REMOVED: updateProgressBar();
+    if (renderer.uploading) {
+        renderer.continueUpload(Math.floor((1.0 - t) / transitionStep()));
     }
     
     // Step 2: Transition check
@@ -609,70 +607,257 @@ async function animate() {
         currTexIdx = (currTexIdx + 1) % BUFFER_SIZE;
         nextTexIdx = (nextTexIdx + 1) % BUFFER_SIZE;
         
-        if (pendingUpload !== null) {
+        if (renderer.uploading) {
             console.error('❌ ERROR: Pending upload not finished!');
         }
         
-        const { slotIdx, imageData, generationTime } = await queueGet();
-        workerTimeAvg = workerTimeAvg * 0.9 + generationTime * 0.1;
+        animateWaiting = true;
+        const item = await queueGet();
+        animateWaiting = false;
+        if (!item) {
+            // Dataset or grid changed while waiting; resetDisplay() restarted the cycle
+            requestAnimationFrame(animate);
+            return;
+        }
         
-        const rgbData = convertRGBAtoRGB(new Uint8ClampedArray(imageData));
+        const { slotIdx, imageData, frame } = item;
+        recordWorkerTimings(item);
         
-        pendingUpload = {
-            slotIdx,
-            pboIdx: slotIdx,
-            rgbData,
-            rowsUploaded: 0
-        };
+        if (item.z) {
+            // Latents are all the GPU path needs; nothing to spread over frames
+            storeFrame(item);
+        } else {
+            slotFrames[slotIdx] = frame;
+            slotSubframes[slotIdx] = item.subframes || 1;
+            renderer.beginUpload(slotIdx, new Uint8Array(imageData));
+        }
+        // A single step ends on the frame it arrived at
+        if (pauseAction === 'step') pauseAction = 'draw';
     }
     
     // Step 3: Render
+    if (pauseAction === 'draw' && renderer.uploading) renderer.flushUpload();
     render();
     updateFPS();
     
+    if (pauseAction === 'draw') {
+        pauseAction = null;
+        animateLoopActive = false;
+        return;
+    }
+    
     // Step 4: Increment t
-    t += dt;
+    t += transitionStep();
     
     requestAnimationFrame(animate);
 }
 
-// Initialize worker
-function initWorker(hg, wg) {
-    if (worker) {
-        worker.terminate();
+// Start animate() again if pausing stopped it
+function wakeAnimation() {
+    if (animateLoopActive) return;
+    animateLoopActive = true;
+    requestAnimationFrame(animate);
+}
+
+// Pause or resume the display; an offscreen display pauses in the worker
+function setPaused(value) {
+    paused = value;
+    pauseAction = null;
+    document.getElementById('pause-badge').style.display = paused ? 'block' : 'none';
+    if (offscreen) {
+        worker.postMessage({ type: 'set_paused', paused });
+    } else if (!paused) {
+        wakeAnimation();
     }
-    
-    worker = new Worker('worker.js');
-    isReady = false;
-    
-    worker.onmessage = function(e) {
-        const { type, slotIdx, data, generationTime } = e.data;
-        
-        switch(type) {
-            case 'ready':
-                isReady = true;
-                console.log(`Worker ready with grid ${hg}x${wg}`);
-                worker.postMessage({ type: 'start_generating' });
-                fillBuffer();
-                break;
-                
-            case 'image':
-                queuePut({ slotIdx, imageData: data, generationTime });
-                break;
-                
-            case 'error':
-                console.error('Worker error:', data);
-                alert('Error: ' + data);
-                break;
+}
+
+// Play one transition to the next frame and stay paused there
+function stepFrame() {
+    if (!paused) setPaused(true);
+    if (offscreen) {
+        worker.postMessage({ type: 'step_display' });
+        return;
+    }
+    pauseAction = 'step';
+    wakeAnimation();
+}
+
+// Back to the previous frame by replaying the sequence from the seed
+function stepBack() {
+    if (!paused) setPaused(true);
+    const frame = displayedFrame();
+    if (frame > 1) reseed(seed, frame - 1);
+}
+
+// Advance of t per display frame; in-betweens split a step, so the
+// transition between two of them is correspondingly quicker
+function transitionStep() {
+    return dt * slotSubframes[nextTexIdx];
+}
+
+// Take the texture ring away from animate() so the caller can step it.
+// Resolves once animate() is not waiting on the queue and no upload is half done.
+async function holdAnimation() {
+    animationHeld = true;
+    while (animateWaiting) {
+        await new Promise(resolve => requestAnimationFrame(resolve));
+    }
+    if (renderer) renderer.flushUpload();
+}
+
+function releaseAnimation() {
+    animationHeld = false;
+}
+
+// Send a message that the worker answers with the same requestId.
+// Resolves with the reply, rejects if the worker replies with an error.
+function requestFromWorker(message, transfer) {
+    return new Promise((resolve, reject) => {
+        const requestId = nextRequestId++;
+        pendingRequests.set(requestId, { resolve, reject });
+        worker.postMessage(Object.assign({}, message, { requestId }), transfer || []);
+    });
+}
+
+// Handle messages from the generation worker
+function handleWorkerMessage(e) {
+    const { type, slotIdx, data, generationTime } = e.data;
+    
+    if (e.data.requestId !== undefined && pendingRequests.has(e.data.requestId)) {
+        const { resolve, reject } = pendingRequests.get(e.data.requestId);
+        pendingRequests.delete(e.data.requestId);
+        if (type === 'error') {
+            reject(new Error(data));
+        } else {
+            resolve(e.data);
         }
-    };
+        return;
+    }
+    
+    // Drop anything produced for a superseded dataset or grid
+    if (e.data.epoch !== undefined && e.data.epoch !== epoch) {
+        return;
+    }
     
+    switch(type) {
+        case 'params_loaded':
+            // Worker has validated the manifest
+            NUM_PCS = e.data.NUM_PCS;
+            HP = e.data.HP;
+            WP = e.data.WP;
+            
+            console.log(`Dataset params: NUM_PCS=${NUM_PCS}, HP=${HP}, WP=${WP}`);
+            
+            // Any basis the worker sent before this belongs to the previous dataset
+            if (renderer) renderer.clearBasis();
+            if (renderMode === 'gpu' && !gpuCanRender(NUM_PCS)) {
+                fallBackToWorkerRendering();
+            }
+            
+            // Update num_pc slider max
+            const numPcSlider = document.getElementById('num_pc-slider');
+            numPcSlider.max = NUM_PCS;
+            if (pcaParams.num_pc > NUM_PCS) {
+                pcaParams.num_pc = NUM_PCS;
+            }
+            numPcSlider.value = pcaParams.num_pc;
+            document.getElementById('num_pc-value').textContent = pcaParams.num_pc;
+            updateVarianceLabel();
+            
+            // Update global dimensions
+            g_tex_H = HP * HG;
+            g_tex_W = WP * WG;
+            
+            // Reconfigure the display for the new dimensions
+            configureDisplay();
+            
+            if (paramsLoadedResolve) {
+                paramsLoadedResolve();
+                paramsLoadedResolve = null;
+            }
+            break;
+            
+        case 'backend':
+            workerBackend = e.data.name;
+            if (e.data.requested !== 'auto' && !e.data.name.endsWith(e.data.requested)) {
+                console.warn(`Backend ${e.data.requested} unavailable, using ${e.data.name}`);
+            }
+            break;
+            
+        case 'spectrum':
+            setSpectrum(e.data.stds);
+            break;
+            
+        case 'load_progress':
+            updateLoadProgress(e.data.loaded, e.data.total);
+            break;
+            
+        case 'ready':
+            isReady = true;
+            console.log(`Worker ready with dataset: ${currentDataset}, grid: ${HG}x${WG}`);
+            updateWorkerParams();
+            // An offscreen display fills its own ring in the worker
+            if (!offscreen) fillBuffer();
+            break;
+            
+        case 'display_stats':
+            applyDisplayStats(e.data);
+            break;
+            
+        case 'render_mode':
+            // The worker's display could not reconstruct on the GPU
+            renderMode = e.data.mode;
+            document.getElementById('render-select').value = renderMode;
+            break;
+            
+        case 'image':
+            queuePut({ slotIdx, imageData: data, frame: e.data.frame, subframes: e.data.subframes,
+                generationTime, timings: e.data.timings, batches: e.data.batches });
+            break;
+            
+        case 'latents_frame':
+            queuePut({ slotIdx, z: new Float32Array(e.data.z), pcs: e.data.pcs, frame: e.data.frame, subframes: e.data.subframes,
+                generationTime, timings: e.data.timings });
+            break;
+            
+        case 'basis':
+            setGpuBasis(e.data);
+            break;
+            
+        case 'basis_rows':
+            addGpuBasisRows(e.data);
+            break;
+            
+        case 'error':
+            console.error('Worker error:', data);
+            alert('Error: ' + data);
+            break;
+    }
+}
+
+// Create the generation worker; it lives for the whole session and is
+// reconfigured with load_dataset / set_grid instead of being respawned
+function initWorker() {
+    worker = new Worker('worker.js');
+    worker.onmessage = handleWorkerMessage;
     worker.onerror = function(error) {
         console.error('Worker error:', error);
     };
-    
-    // Send grid size to worker
-    worker.postMessage({ type: 'set_grid', HG: hg, WG: wg });
+    worker.postMessage({ type: 'set_transition', transition });
+    worker.postMessage({ type: 'set_dynamics', dynamics });
+    worker.postMessage({ type: 'start_generating' });
+}
+
+// Put a queued frame into its ring slot in one go: latents for the GPU
+// shader, or the worker's pixels into the slot's texture
+function storeFrame(item) {
+    slotFrames[item.slotIdx] = item.frame;
+    slotSubframes[item.slotIdx] = item.subframes || 1;
+    if (item.z) {
+        renderer.storeLatents(item.slotIdx, item.z, item.pcs);
+    } else {
+        renderer.storeImage(item.slotIdx, new Uint8Array(item.imageData));
+    }
 }
 
 // Fill buffer
@@ -680,58 +865,250 @@ async function fillBuffer() {
     console.log('Filling buffer...');
     
     for (let i = 0; i < BUFFER_SIZE; i++) {
-        const { slotIdx, imageData, generationTime } = await queueGet();
-        uploadTextureComplete(slotIdx, new Uint8ClampedArray(imageData));
-        console.log(`Buffer filled: ${i + 1}/${BUFFER_SIZE} (${generationTime.toFixed(1)}ms)`);
+        const item = await queueGet();
+        if (!item) return; // dataset or grid changed while filling
+        
+        storeFrame(item);
+        console.log(`Buffer filled: ${i + 1}/${BUFFER_SIZE} (${item.generationTime.toFixed(1)}ms)`);
     }
     
     console.log('Buffer full, starting animation...');
     animationRunning = true;
+    // A paused display shows the first frame of the new buffer
+    if (paused) {
+        pauseAction = pauseAction || 'draw';
+        wakeAnimation();
+    }
 }
 
 
-// Restart with new grid size (called on resize)
-async function restartWithGridSize(newHG, newWG) {
-    console.log(`Restarting with grid ${newHG}x${newWG}...`);
-    
-    // Reload current dataset with new grid size
-    await loadDatasetWithGrid(currentDataset, newHG, newWG);
+// Size the canvas element on the page; its drawing buffer stays one pixel
+// per tile pixel and the browser scales it, filtered only in 'smooth' mode
+function resizeCanvas() {
+    const canvas = document.getElementById('canvas');
+    const size = calculateCanvasSize(HG, WG);
+    canvas.style.width = size.width + 'px';
+    canvas.style.height = size.height + 'px';
+    canvas.style.imageRendering = layout.scale === 'smooth' ? 'auto' : '';
+    document.getElementById('canvas-container').classList.toggle('fill', layout.fill);
+    return size;
 }
 
 // Handle resize
 let resizeTimeout;
 function handleResize() {
     clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-        const newGrid = calculateGridSize();
-        
-        // Check if grid size changed
-        if (newGrid.HG !== HG || newGrid.WG !== WG) {
-            console.log(`Grid size changed: ${HG}x${WG} → ${newGrid.HG}x${newGrid.WG}`);
-            restartWithGridSize(newGrid.HG, newGrid.WG);
-        } else {
-            // Just resize canvas display
-            const canvas = document.getElementById('canvas');
-            const size = calculateCanvasSize(HG, WG);
-            canvas.style.width = size.width + 'px';
-            canvas.style.height = size.height + 'px';
+    resizeTimeout = setTimeout(applyLayout, 500); // Debounce
+}
+
+// Frame shown at the start of the current crossfade
+function displayedFrame() {
+    return offscreen ? offscreenFrame : slotFrames[currTexIdx];
+}
+
+// Hand the canvas to the worker, which then generates, crossfades and paces
+// frames itself, or take it back. A canvas that has had a context cannot be
+// transferred, so each switch starts from a fresh element.
+function setOffscreen(enabled) {
+    if (enabled === offscreen) return;
+    if (enabled && !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) {
+        alert('OffscreenCanvas is not supported in this browser');
+        return;
+    }
+    
+    console.log(`Offscreen display: ${enabled}`);
+    closeInspector();
+    resetDisplay();
+    epoch++;
+    isReady = false;
+    
+    if (renderer) {
+        renderer.dispose();
+        renderer = null;
+        gl = null;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.id = 'canvas';
+    document.getElementById('canvas').replaceWith(canvas);
+    
+    offscreen = enabled;
+    document.getElementById('offscreen-btn').classList.toggle('active', enabled);
+    configureDisplay();
+    
+    if (enabled) {
+        const target = canvas.transferControlToOffscreen();
+        worker.postMessage({ type: 'attach_canvas', canvas: target, steps, paused, epoch }, [target]);
+    } else {
+        worker.postMessage({ type: 'detach_canvas', epoch });
+    }
+}
+
+// Full animation state as a URL hash; pasting it reproduces the sequence
+// as long as the parameters were not changed mid-run
+function stateHash() {
+    // Only the current process' params; the others are at whatever they were
+    const dynamicsParams = {};
+    for (const field of PCADynamics.getProcess(dynamics).schema) {
+        dynamicsParams[field.key] = pcaParams[field.key].toFixed(fieldDecimals(field));
+    }
+    const params = new URLSearchParams({
+        dataset: currentDataset,
+        dynamics,
+        ...dynamicsParams,
+        num_pc: pcaParams.num_pc,
+        steps: steps,
+        grid: `${HG}x${WG}`,
+        ...layoutHashParams(),
+        transition: transition.style,
+        easing: transition.easing,
+        seed: seed,
+        frame: displayedFrame()
+    });
+    return '#' + params.toString();
+}
+
+function writeStateToHash() {
+    history.replaceState(null, '', stateHash());
+}
+
+// Apply a state hash written by stateHash(); returns the grid it names, if any
+function readStateFromHash() {
+    const hash = new URLSearchParams(location.hash.slice(1));
+    const num = (key) => {
+        const value = parseFloat(hash.get(key));
+        return Number.isFinite(value) ? value : null;
+    };
+    const clamp = (value, lo, hi) => Math.min(hi, Math.max(lo, value));
+    
+    // Unknown datasets fall back to the first one in the index
+    if (hash.has('dataset')) currentDataset = hash.get('dataset');
+    // Links from before dynamics.js name no process and are AR(1) walks
+    if (PCADynamics.PROCESSES[hash.get('dynamics')]) dynamics = hash.get('dynamics');
+    for (const process of Object.values(PCADynamics.PROCESSES)) {
+        for (const field of process.schema) {
+            if (num(field.key) !== null) pcaParams[field.key] = clamp(num(field.key), field.min, field.max);
+        }
+    }
+    if (num('num_pc') !== null) pcaParams.num_pc = Math.max(1, Math.round(num('num_pc')));
+    if (num('steps') !== null) {
+        steps = clamp(Math.round(num('steps')), 1, 100);
+        dt = dt_base / steps;
+    }
+    if (num('seed') !== null) seed = num('seed') >>> 0;
+    if (num('frame') !== null) startFrame = clamp(Math.round(num('frame')), 0, MAX_START_FRAME);
+    
+    const match = /^(\d+)x(\d+)$/.exec(hash.get('grid') || '');
+    const grid = match ? {
+        HG: Math.max(1, parseInt(match[1])),
+        WG: Math.max(1, parseInt(match[2]))
+    } : null;
+    if (PCATransitions.STYLES.includes(hash.get('transition'))) transition.style = hash.get('transition');
+    if (PCATransitions.EASING_NAMES.includes(hash.get('easing'))) transition.easing = hash.get('easing');
+    readLayoutFromHash(hash, grid);
+    return grid;
+}
+
+// Copy a link to the current state
+function initShareButton() {
+    const btn = document.getElementById('share-btn');
+    btn.addEventListener('click', async () => {
+        writeStateToHash();
+        try {
+            await navigator.clipboard.writeText(location.href);
+            btn.textContent = 'Copied';
+        } catch (err) {
+            console.error('Clipboard error:', err);
+            btn.textContent = 'See URL';
         }
-    }, 500); // Debounce
+        setTimeout(() => { btn.textContent = 'Share'; }, 1500);
+    });
+    
+    document.getElementById('reseed-btn').addEventListener('click', () => {
+        reseed(PCARandom.randomSeed());
+    });
+    
+    document.getElementById('offscreen-btn').addEventListener('click', () => {
+        setOffscreen(!offscreen);
+    });
+}
+
+// Override the worker's automatic backend choice
+function initBackendSelect() {
+    const select = document.getElementById('backend-select');
+    select.addEventListener('change', () => {
+        worker.postMessage({ type: 'set_backend', backend: select.value });
+    });
+}
+
+function setTransition(next) {
+    transition = { style: next.style, easing: next.easing };
+    document.getElementById('transition-select').value = transition.style;
+    document.getElementById('easing-select').value = transition.easing;
+    if (renderer) renderer.setTransition(transition);
+    worker.postMessage({ type: 'set_transition', transition });
+    writeStateToHash();
+}
+
+// Transition style and easing; the worker needs them for in-betweens and its offscreen display
+function initTransitionSelects() {
+    const styleSelect = document.getElementById('transition-select');
+    const easingSelect = document.getElementById('easing-select');
+    styleSelect.value = transition.style;
+    easingSelect.value = transition.easing;
+    
+    const update = () => setTransition({ style: styleSelect.value, easing: easingSelect.value });
+    styleSelect.addEventListener('change', update);
+    easingSelect.addEventListener('change', update);
 }
 
 // Modified init function
 async function init() {
+    registerServiceWorker();
+    
+    // Restore state from the URL before anything reads it
+    const hashGrid = readStateFromHash();
+    
     // Initialize controls
+    initDynamicsSelect();
     initSliders();
+    syncSliders();
+    initShareButton();
+    initBackendSelect();
+    initLayoutPanel();
+    initTransitionSelects();
+    
+    try {
+        await loadDatasetIndex();
+    } catch (err) {
+        console.error('Dataset index error:', err);
+        alert('Error: ' + err.message);
+        return;
+    }
     initDatasetButtons();
+    initCachePanel();
+    initLatentsPanel();
+    initTilesPanel();
+    initAudioPanel();
+    initControllersPanel();
+    initShortcuts();
+    initInspector();
+    initInterpolation();
+    initGallery();
+    initEncodePanel();
+    initExportPanel();
+    initTrainPanel();
+    initRenderModeSelect();
+    
+    initWorker();
     
     // Calculate initial grid
-    const grid = calculateGridSize();
+    const grid = hashGrid ? clampGrid(hashGrid.HG, hashGrid.WG) : calculateGridSize();
     
     // Load initial dataset with grid
     await loadDatasetWithGrid(currentDataset, grid.HG, grid.WG);
     
     // Start animation
+    animateLoopActive = true;
     animate();
     
     // Add resize listener
@@ -0,0 +1,338 @@
+// Audio-reactive mode: an AnalyserNode on an audio file, the microphone or the
+// bundled test file splits the spectrum into bass, mid and treble levels, and
+// the mappings turn those into the variance, the speed and the gain of groups
+// of components several times a second. Stopping restores the slider values.
+
+// Band edges in Hz
+const AUDIO_BANDS = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    treble: [4000, 11000]
+};
+
+// How often the levels are read and applied
+const AUDIO_UPDATE_MS = 50;
+// Per update, how fast each band's running peak falls back; levels are
+// relative to it so quiet and loud music both span the mapping ranges
+const AUDIO_PEAK_DECAY = 0.995;
+const AUDIO_MIN_PEAK = 0.05;
+
+// Made by tools/make-test-audio.js: 1.5 s each of bass, mid and treble
+const AUDIO_TEST_URL = 'data/audio-test.wav';
+
+// What a mapping can drive; 'pcs' scales components [from, to) when drawn
+const AUDIO_TARGETS = {
+    s: { label: 'variance', min: 0, max: 3, step: 0.01 },
+    steps: { label: 'speed (steps)', min: 1, max: 100, step: 1 },
+    pcs: { label: 'component gain', min: 0, max: 4, step: 0.05 }
+};
+
+// Level 0 maps to min and level 1 to max; min > max inverts a mapping
+// (loud mids mean fewer steps, i.e. faster transitions)
+let audioMappings = [
+    { band: 'bass', target: 's', min: 0.4, max: 1.6 },
+    { band: 'mid', target: 'steps', min: 30, max: 3 },
+    { band: 'treble', target: 'pcs', from: 20, to: 100, min: 0.5, max: 2.5 }
+];
+
+// Running source: { context, analyser, bins, element, stream, peaks, timer, saved }
+let audio = null;
+
+function setAudioStatus(text) {
+    document.getElementById('audio-status').textContent = text;
+}
+
+// Mean magnitude (0..1) of each band in byte frequency data from an analyser
+function bandLevels(bins, sampleRate, fftSize) {
+    const binHz = sampleRate / fftSize;
+    const levels = {};
+    for (const [band, [low, high]] of Object.entries(AUDIO_BANDS)) {
+        const first = Math.max(1, Math.floor(low / binHz));
+        const last = Math.min(bins.length, Math.ceil(high / binHz));
+        let sum = 0;
+        for (let i = first; i < last; i++) {
+            sum += bins[i];
+        }
+        levels[band] = last > first ? sum / (last - first) / 255 : 0;
+    }
+    return levels;
+}
+
+// Levels relative to each band's running peak
+function normalizeLevels(levels, peaks) {
+    const normalized = {};
+    for (const band of Object.keys(AUDIO_BANDS)) {
+        peaks[band] = Math.max(levels[band], (peaks[band] || 0) * AUDIO_PEAK_DECAY, AUDIO_MIN_PEAK);
+        normalized[band] = levels[band] / peaks[band];
+    }
+    return normalized;
+}
+
+// Drive the parameters from band levels in [0, 1]
+function applyAudioMappings(levels) {
+    const gains = [];
+    for (const m of audioMappings) {
+        const value = m.min + (m.max - m.min) * levels[m.band];
+        if (m.target === 's') {
+            pcaParams.s = Math.min(AUDIO_TARGETS.s.max, Math.max(AUDIO_TARGETS.s.min, value));
+        } else if (m.target === 'steps') {
+            setSteps(Math.round(value));
+        } else {
+            gains.push({ from: m.from, to: m.to, gain: Math.max(0, value) });
+        }
+    }
+    syncSliders();
+    updateWorkerParams();
+    worker.postMessage({ type: 'set_component_gains', gains });
+}
+
+// The bundled test audio, fetched whole (an <audio> element's range requests
+// would not go through the service worker's data cache)
+async function fetchTestAudio() {
+    const response = await fetch(AUDIO_TEST_URL);
+    if (!response.ok) throw new Error(`Failed to fetch ${AUDIO_TEST_URL}`);
+    return response.arrayBuffer();
+}
+
+function createAnalyser(context) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.8;
+    return analyser;
+}
+
+// Listen to `kind` ('file' with `file`, 'mic' or 'test') and start applying the mappings
+async function startAudio(kind, file) {
+    stopAudio();
+
+    const context = new AudioContext();
+    const analyser = createAnalyser(context);
+    let element = null;
+    let stream = null;
+
+    try {
+        if (kind === 'mic') {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            // Not connected to the speakers, which would feed back
+            context.createMediaStreamSource(stream).connect(analyser);
+        } else if (kind === 'test') {
+            const source = context.createBufferSource();
+            source.buffer = await context.decodeAudioData(await fetchTestAudio());
+            source.loop = true;
+            source.connect(analyser);
+            analyser.connect(context.destination);
+            source.start();
+        } else {
+            element = new Audio(URL.createObjectURL(file));
+            element.loop = true;
+            context.createMediaElementSource(element).connect(analyser);
+            analyser.connect(context.destination);
+            await element.play();
+        }
+    } catch (err) {
+        console.error('Audio error:', err);
+        setAudioStatus('Error: ' + err.message);
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        if (element) URL.revokeObjectURL(element.src);
+        context.close();
+        return;
+    }
+
+    const name = kind === 'mic' ? 'microphone' : kind === 'file' ? file.name : 'test audio';
+    console.log(`Audio-reactive mode: ${name}`);
+    audio = {
+        context,
+        analyser,
+        bins: new Uint8Array(analyser.frequencyBinCount),
+        element,
+        stream,
+        peaks: {},
+        saved: { s: pcaParams.s, steps },
+        timer: setInterval(audioTick, AUDIO_UPDATE_MS)
+    };
+    setAudioStatus(`Listening to ${name}`);
+    document.getElementById('audio-stop').disabled = false;
+}
+
+function audioTick() {
+    if (!isReady) return;
+    audio.analyser.getByteFrequencyData(audio.bins);
+    const levels = normalizeLevels(bandLevels(audio.bins, audio.context.sampleRate, audio.analyser.fftSize), audio.peaks);
+    applyAudioMappings(levels);
+
+    document.getElementById('audio-levels').textContent = Object.keys(AUDIO_BANDS)
+        .map(band => `${band} ${levels[band].toFixed(2)}`).join('  ');
+}
+
+// Disconnect the source and put the sliders back where they were
+function stopAudio() {
+    if (!audio) return;
+
+    clearInterval(audio.timer);
+    if (audio.element) {
+        audio.element.pause();
+        URL.revokeObjectURL(audio.element.src);
+    }
+    if (audio.stream) audio.stream.getTracks().forEach(track => track.stop());
+    audio.context.close();
+
+    pcaParams.s = audio.saved.s;
+    setSteps(audio.saved.steps);
+    syncSliders();
+    updateWorkerParams();
+    worker.postMessage({ type: 'set_component_gains', gains: [] });
+
+    audio = null;
+    setAudioStatus('Stopped');
+    document.getElementById('audio-levels').textContent = '';
+    document.getElementById('audio-stop').disabled = true;
+}
+
+// Band levels of an encoded audio file every `interval` seconds, rendered
+// faster than real time through an OfflineAudioContext with the same analyser
+async function analyzeAudioOffline(arrayBuffer, interval = 0.25) {
+    const decoded = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(arrayBuffer);
+    const context = new OfflineAudioContext(1, decoded.length, decoded.sampleRate);
+    const analyser = createAnalyser(context);
+    // Each reading describes its own window, not a blend with the ones before
+    analyser.smoothingTimeConstant = 0;
+    const source = context.createBufferSource();
+    source.buffer = decoded;
+    source.connect(analyser);
+    analyser.connect(context.destination);
+
+    const bins = new Uint8Array(analyser.frequencyBinCount);
+    const readings = [];
+    for (let t = interval; t < decoded.duration; t += interval) {
+        context.suspend(t).then(() => {
+            analyser.getByteFrequencyData(bins);
+            readings.push({ time: t, levels: bandLevels(bins, context.sampleRate, analyser.fftSize) });
+            context.resume();
+        });
+    }
+
+    source.start();
+    await context.startRendering();
+    return readings;
+}
+
+// Run the bundled test audio through the offline analysis and report the
+// loudest band over time; expect bass, then mid, then treble
+async function checkAudioOffline() {
+    setAudioStatus('Analyzing the test audio...');
+    try {
+        const readings = await analyzeAudioOffline(await fetchTestAudio());
+
+        const loudest = readings.map(({ time, levels }) => {
+            const band = Object.keys(levels).reduce((a, b) => levels[a] >= levels[b] ? a : b);
+            return `${time.toFixed(2)}s ${band}`;
+        });
+        console.log('Offline audio analysis:', readings);
+        setAudioStatus(`Loudest band: ${loudest.join(', ')}`);
+    } catch (err) {
+        console.error('Offline audio error:', err);
+        setAudioStatus('Error: ' + err.message);
+    }
+}
+
+// A new mapping onto `target` covering its whole range
+function defaultAudioMapping(band, target) {
+    if (target === 'pcs') {
+        return { band, target, from: 0, to: NUM_PCS, min: 1, max: 2 };
+    }
+    return { band, target, min: AUDIO_TARGETS[target].min, max: AUDIO_TARGETS[target].max };
+}
+
+function updateAudioMappingList() {
+    const list = document.getElementById('audio-mappings');
+    list.innerHTML = '';
+
+    audioMappings.forEach((mapping, i) => {
+        const row = document.createElement('div');
+        row.className = 'audio-mapping';
+
+        const band = document.createElement('select');
+        band.className = 'tool-select';
+        for (const name of Object.keys(AUDIO_BANDS)) {
+            band.add(new Option(name, name));
+        }
+        band.value = mapping.band;
+        band.addEventListener('change', () => {
+            mapping.band = band.value;
+        });
+
+        const target = document.createElement('select');
+        target.className = 'tool-select';
+        for (const [key, { label }] of Object.entries(AUDIO_TARGETS)) {
+            target.add(new Option(label, key));
+        }
+        target.value = mapping.target;
+        target.addEventListener('change', () => {
+            audioMappings[i] = defaultAudioMapping(mapping.band, target.value);
+            updateAudioMappingList();
+        });
+
+        row.append(band, target);
+
+        const spec = AUDIO_TARGETS[mapping.target];
+        const number = (key, title, min, max, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'panel-input';
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.title = title;
+            input.placeholder = title;
+            input.value = mapping[key];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) mapping[key] = Math.min(max, Math.max(min, value));
+                input.value = mapping[key];
+            });
+            row.append(input);
+        };
+
+        if (mapping.target === 'pcs') {
+            number('from', 'first component (from 0)', 0, NUM_PCS, 1);
+            number('to', 'end component (exclusive)', 1, NUM_PCS, 1);
+        }
+        number('min', 'value at silence', spec.min, spec.max, spec.step);
+        number('max', 'value at the peak', spec.min, spec.max, spec.step);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'tool-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            audioMappings.splice(i, 1);
+            updateAudioMappingList();
+        });
+        row.append(removeBtn);
+
+        list.appendChild(row);
+    });
+}
+
+function initAudioPanel() {
+    const panel = document.getElementById('audio-panel');
+    const fileInput = document.getElementById('audio-file');
+
+    document.getElementById('audio-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+    document.getElementById('audio-choose').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) startAudio('file', fileInput.files[0]);
+        fileInput.value = '';
+    });
+    document.getElementById('audio-mic').addEventListener('click', () => startAudio('mic'));
+    document.getElementById('audio-test').addEventListener('click', () => startAudio('test'));
+    document.getElementById('audio-stop').addEventListener('click', stopAudio);
+    document.getElementById('audio-check').addEventListener('click', checkAudioOffline);
+    document.getElementById('audio-add').addEventListener('click', () => {
+        audioMappings.push(defaultAudioMapping('bass', 's'));
+        updateAudioMappingList();
+    });
+
+    updateAudioMappingList();
+}
@@ -0,0 +1,197 @@
+// Reconstruction backends for the worker. Both turn latents into display
+// pixels with the same pipeline (mu + z @ eigvecs, value range onto 0..255,
+// grid tiling); the CPU one is plain typed arrays and needs no TensorFlow.js,
+// so the app still runs when the CDN is blocked or the browser is offline.
+//
+// A backend has:
+//   name
+//   setBasis(mu, height, width, valueRange)  mu is a Float32Array [D]
+//   setComponents(data, rows)                first `rows` components of eigvecs [K, D]
+//   renderGrid(z, HG, WG, numPcs, pcs)       -> Promise of RGB values [HG*HP, WG*WP, 3]
+//   project(pixels)                          -> Promise of Float32Array [rows], pixels 0..255
+//   renderComponent(index)                   -> Promise of RGB: 0 is mu, i is component i
+//                                               scaled to its largest magnitude around mid-gray
+//   dispose()
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sampler.js'));
+    } else {
+        root.PCABackends = factory(root.PCASampler);
+    }
+})(typeof self !== 'undefined' ? self : this, function(PCASampler) {
+
+    // Component i as signed color: zero is mid-gray
+    function signedBytes(values, out) {
+        let scale = 1e-12;
+        for (let i = 0; i < values.length; i++) {
+            scale = Math.max(scale, Math.abs(values[i]));
+        }
+        for (let i = 0; i < values.length; i++) {
+            out[i] = Math.max(0, Math.min(255, Math.trunc(values[i] / scale * 127.5 + 127.5)));
+        }
+        return out;
+    }
+
+    function createCpuBackend() {
+        let mu = null;
+        let eigvecs = null;
+        let rows = 0;
+        let HP = 0;
+        let WP = 0;
+        let valueRange = [0, 255];
+
+        return {
+            name: 'cpu',
+
+            setBasis(newMu, height, width, range) {
+                mu = newMu;
+                HP = height;
+                WP = width;
+                valueRange = range;
+                eigvecs = null;
+                rows = 0;
+            },
+
+            // The streamed buffer is shared, not copied; only `rows` of it are read
+            setComponents(data, loaded) {
+                eigvecs = data;
+                rows = loaded;
+            },
+
+            async renderGrid(z, HG, WG, numPcs, pcs) {
+                const T = HG * WG;
+                const D = mu.length;
+                const values = PCASampler.reconstruct(z, T, numPcs, Math.min(pcs, rows), mu, eigvecs, new Float32Array(T * D));
+                const bytes = PCASampler.toDisplayBytes(values, valueRange, new Uint8Array(T * D));
+                return T === 1 ? bytes : PCASampler.tileGrid(bytes, HG, WG, HP, WP, 3, new Uint8Array(T * D));
+            },
+
+            async project(pixels) {
+                const D = mu.length;
+                const [min, max] = valueRange;
+                const scale = (max - min) / 255;
+                const centered = new Float32Array(D);
+                for (let i = 0; i < D; i++) {
+                    centered[i] = pixels[i] * scale + min - mu[i];
+                }
+
+                const out = new Float32Array(rows);
+                for (let j = 0; j < rows; j++) {
+                    let dot = 0;
+                    const e = j * D;
+                    for (let i = 0; i < D; i++) {
+                        dot += centered[i] * eigvecs[e + i];
+                    }
+                    out[j] = dot;
+                }
+                return out;
+            },
+
+            async renderComponent(index) {
+                const D = mu.length;
+                if (index === 0) {
+                    return PCASampler.toDisplayBytes(mu, valueRange, new Uint8Array(D));
+                }
+                return signedBytes(eigvecs.subarray((index - 1) * D, index * D), new Uint8Array(D));
+            },
+
+            dispose() {
+                mu = eigvecs = null;
+                rows = 0;
+            }
+        };
+    }
+
+    // TensorFlow.js on whichever tf backend is active
+    function createTfBackend(tf) {
+        let mu = null;
+        let eigvecs = null;
+        let rows = 0;
+        let HP = 0;
+        let WP = 0;
+        let valueRange = [0, 255];
+
+        // Map the dataset's pixel range onto 0..255 and quantize (inside tf.tidy)
+        function toDisplayPixels(x) {
+            const [min, max] = valueRange;
+            if (min !== 0 || max !== 255) {
+                x = tf.mul(tf.sub(x, min), 255.0 / (max - min));
+            }
+            x = tf.clipByValue(x, 0.0, 255.0);
+            return tf.cast(x, 'int32');
+        }
+
+        async function download(tensor) {
+            const data = await tensor.data();
+            tensor.dispose();
+            return data;
+        }
+
+        return {
+            name: `tfjs-${tf.getBackend()}`,
+
+            setBasis(newMu, height, width, range) {
+                this.dispose();
+                mu = tf.tensor1d(newMu);
+                HP = height;
+                WP = width;
+                valueRange = range;
+            },
+
+            // Rebuilt from the stream buffer each time more rows are valid
+            setComponents(data, loaded) {
+                const old = eigvecs;
+                eigvecs = tf.tensor2d(data.subarray(0, loaded * HP * WP * 3), [loaded, HP * WP * 3]);
+                rows = loaded;
+                if (old) old.dispose();
+            },
+
+            renderGrid(z, HG, WG, numPcs, pcs) {
+                return download(tf.tidy(() => {
+                    pcs = Math.min(pcs, rows);
+                    const zSlice = tf.slice(tf.tensor2d(z, [HG * WG, numPcs]), [0, 0], [HG * WG, pcs]);
+                    const eigvecsSlice = tf.slice(eigvecs, [0, 0], [pcs, HP * WP * 3]);
+
+                    let x = tf.add(mu, tf.matMul(zSlice, eigvecsSlice));
+                    x = tf.reshape(x, [HG, WG, HP, WP, 3]);
+                    x = tf.transpose(x, [0, 2, 1, 3, 4]);
+                    x = tf.reshape(x, [HG * HP, WG * WP, 3]);
+                    return toDisplayPixels(x);
+                }));
+            },
+
+            project(pixels) {
+                return download(tf.tidy(() => {
+                    const [min, max] = valueRange;
+                    let x = tf.tensor2d(pixels, [1, HP * WP * 3]);
+                    if (min !== 0 || max !== 255) {
+                        x = tf.add(tf.mul(x, (max - min) / 255.0), min);
+                    }
+                    return tf.matMul(tf.sub(x, mu), eigvecs, false, true);
+                }));
+            },
+
+            renderComponent(index) {
+                return download(tf.tidy(() => {
+                    if (index === 0) return toDisplayPixels(mu);
+                    const v = tf.slice(eigvecs, [index - 1, 0], [1, HP * WP * 3]);
+                    const scale = tf.maximum(tf.max(tf.abs(v)), 1e-12);
+                    const x = tf.add(tf.mul(tf.div(v, scale), 127.5), 127.5);
+                    return tf.cast(tf.clipByValue(x, 0.0, 255.0), 'int32');
+                }));
+            },
+
+            dispose() {
+                if (mu) mu.dispose();
+                if (eigvecs) eigvecs.dispose();
+                mu = eigvecs = null;
+                rows = 0;
+            }
+        };
+    }
+
+    return {
+        createCpuBackend,
+        createTfBackend
+    };
+});
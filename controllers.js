@@ -0,0 +1,373 @@
+// Controllers: bind Web MIDI controls and gamepad axes or buttons to the
+// sliders, the dataset or single component offsets, for playing the
+// visualizer live. "Learn" binds the next control that moves. Mappings are
+// kept in localStorage and can be exported and imported as JSON:
+//
+//   { format: 'pca-controllers', version, mappings: [{ input, target }] }
+//
+// input:  'midi:<channel>:cc<n>' or 'midi:<channel>:note<n>' (channels from 1),
+//         'pad<i>:axis<j>' or 'pad<i>:button<j>'
+// target: a dynamics parameter key (k, s, friction, ...), 'steps', 'num_pc',
+//         'dataset' or 'offset:<component>' (counted from 0)
+const CONTROLLERS_FORMAT = 'pca-controllers';
+const CONTROLLERS_VERSION = 1;
+const CONTROLLERS_STORAGE_KEY = 'pca-controller-mappings';
+
+// Gamepads have no events for axes, so they are polled
+const GAMEPAD_POLL_MS = 50;
+// An axis has to move this far from where it rested to be learned
+const LEARN_AXIS_TRAVEL = 0.5;
+// Smaller axis changes are noise
+const AXIS_EPSILON = 0.01;
+// Component offsets span +-this many standard deviations
+const OFFSET_RANGE = 3;
+
+let controllerMappings = [];
+// Target waiting for a control, or null; axes are compared with learnBaseline
+let learnTarget = null;
+let learnBaseline = {};
+// Last value per input (axes, button state) and the toggles of button mappings
+let inputState = {};
+let midiAccess = null;
+let gamepadTimer = null;
+// Offsets applied by the worker, by component
+let componentOffsets = new Map();
+
+function setControllersStatus(text) {
+    document.getElementById('controllers-status').textContent = text;
+}
+
+// Schema field for a parameter key from any dynamics process
+function dynamicsField(key) {
+    for (const process of Object.values(PCADynamics.PROCESSES)) {
+        const field = process.schema.find(f => f.key === key);
+        if (field) return field;
+    }
+    return null;
+}
+
+function targetLabel(target) {
+    if (target.startsWith('offset:')) return `component ${target.slice(7)} offset`;
+    if (target === 'steps') return 'speed';
+    if (target === 'num_pc') return 'components';
+    if (target === 'dataset') return 'dataset';
+    const field = dynamicsField(target);
+    return field ? field.label : target;
+}
+
+function inputLabel(input) {
+    const midi = /^midi:(\d+):(cc|note)(\d+)$/.exec(input);
+    if (midi) return `MIDI ch ${midi[1]} ${midi[2] === 'cc' ? 'CC' : 'note'} ${midi[3]}`;
+    const pad = /^pad(\d+):(axis|button)(\d+)$/.exec(input);
+    if (pad) return `Gamepad ${pad[1]} ${pad[2]} ${pad[3]}`;
+    return input;
+}
+
+function isButtonInput(input) {
+    return /:(note|button)\d+$/.test(input);
+}
+
+function saveControllerMappings() {
+    try {
+        localStorage.setItem(CONTROLLERS_STORAGE_KEY, JSON.stringify(controllerMappings));
+    } catch (err) {
+        console.warn('Could not store controller mappings:', err.message);
+    }
+}
+
+// Mappings from JSON; entries without an input and a target are dropped
+function parseControllerMappings(list) {
+    if (!Array.isArray(list)) throw new Error('Controller mappings must be a list');
+    return list
+        .filter(m => m && typeof m.input === 'string' && typeof m.target === 'string')
+        .map(m => ({ input: m.input, target: m.target }));
+}
+
+function loadControllerMappings() {
+    try {
+        const stored = localStorage.getItem(CONTROLLERS_STORAGE_KEY);
+        if (stored) controllerMappings = parseControllerMappings(JSON.parse(stored));
+    } catch (err) {
+        console.warn('Ignoring stored controller mappings:', err.message);
+    }
+}
+
+function exportControllerMappings() {
+    const json = JSON.stringify({ format: CONTROLLERS_FORMAT, version: CONTROLLERS_VERSION, mappings: controllerMappings }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'pca-controllers.json');
+}
+
+async function importControllerMappings(file) {
+    try {
+        const json = JSON.parse(await file.text());
+        if (json.format !== CONTROLLERS_FORMAT) throw new Error('Not a controller mapping file');
+        if (json.version > CONTROLLERS_VERSION) throw new Error(`Unsupported version ${json.version}`);
+        controllerMappings = parseControllerMappings(json.mappings);
+        saveControllerMappings();
+        updateControllerList();
+        setControllersStatus(`Loaded ${controllerMappings.length} mappings from ${file.name}`);
+    } catch (err) {
+        console.error('Controller import error:', err);
+        setControllersStatus('Error: ' + err.message);
+    }
+}
+
+function sendComponentOffsets() {
+    worker.postMessage({
+        type: 'set_component_offsets',
+        offsets: Array.from(componentOffsets, ([component, value]) => ({ component, value }))
+    });
+}
+
+// Set `target` from a control value in [0, 1]
+function applyControl(target, value) {
+    if (target === 'dataset') {
+        const index = Math.min(datasetOrder.length - 1, Math.floor(value * datasetOrder.length));
+        if (datasetOrder[index] !== currentDataset) switchDataset(datasetOrder[index]);
+        return;
+    }
+    if (target.startsWith('offset:')) {
+        componentOffsets.set(parseInt(target.slice(7)), (value * 2 - 1) * OFFSET_RANGE);
+        sendComponentOffsets();
+        return;
+    }
+
+    if (target === 'steps') {
+        setSteps(Math.round(1 + value * 99));
+    } else if (target === 'num_pc') {
+        pcaParams.num_pc = Math.round(1 + value * (NUM_PCS - 1));
+    } else {
+        const field = dynamicsField(target);
+        if (!field) return;
+        pcaParams[target] = field.min + Math.round(value * (field.max - field.min) / field.step) * field.step;
+    }
+    syncSliders();
+    updateWorkerParams();
+}
+
+// A button press steps through datasets; on anything else it toggles between
+// the ends of the range
+function pressControl(mapping) {
+    if (mapping.target === 'dataset') {
+        const index = datasetOrder.indexOf(currentDataset);
+        switchDataset(datasetOrder[(index + 1) % datasetOrder.length]);
+        return;
+    }
+    const key = `toggle:${mapping.input}:${mapping.target}`;
+    inputState[key] = !inputState[key];
+    applyControl(mapping.target, inputState[key] ? 1 : 0);
+}
+
+// A control moved: bind it when learning, otherwise drive its targets.
+// Buttons report presses only.
+function handleControlInput(input, value) {
+    if (learnTarget) {
+        controllerMappings = controllerMappings.filter(m => m.input !== input || m.target !== learnTarget);
+        controllerMappings.push({ input, target: learnTarget });
+        console.log(`Learned ${inputLabel(input)} -> ${targetLabel(learnTarget)}`);
+        setControllersStatus(`${inputLabel(input)} controls ${targetLabel(learnTarget)}`);
+        stopLearning();
+        saveControllerMappings();
+        updateControllerList();
+        return;
+    }
+
+    for (const mapping of controllerMappings) {
+        if (mapping.input !== input) continue;
+        if (isButtonInput(input)) {
+            pressControl(mapping);
+        } else {
+            applyControl(mapping.target, value);
+        }
+    }
+}
+
+function handleMidiMessage(event) {
+    const [status, number, value] = event.data;
+    const command = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+
+    if (command === 0xb0) {
+        handleControlInput(`midi:${channel}:cc${number}`, value / 127);
+    } else if (command === 0x90 && value > 0) {
+        // Note on; a note on with velocity 0 is a note off
+        handleControlInput(`midi:${channel}:note${number}`, 1);
+    }
+}
+
+function attachMidiInputs() {
+    const names = [];
+    midiAccess.inputs.forEach(input => {
+        input.onmidimessage = handleMidiMessage;
+        names.push(input.name);
+    });
+    document.getElementById('controllers-devices').textContent = names.length > 0
+        ? `MIDI: ${names.join(', ')}`
+        : 'MIDI: no devices';
+}
+
+async function connectMidi() {
+    if (!navigator.requestMIDIAccess) {
+        setControllersStatus('Web MIDI is not available in this browser');
+        return;
+    }
+    try {
+        midiAccess = await navigator.requestMIDIAccess();
+        midiAccess.onstatechange = attachMidiInputs;
+        attachMidiInputs();
+    } catch (err) {
+        console.error('MIDI error:', err);
+        setControllersStatus('Error: ' + err.message);
+    }
+}
+
+function pollGamepads() {
+    const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+    if (pads.length === 0) {
+        clearInterval(gamepadTimer);
+        gamepadTimer = null;
+        return;
+    }
+
+    for (const pad of pads) {
+        pad.axes.forEach((axis, j) => {
+            const input = `pad${pad.index}:axis${j}`;
+            const value = (axis + 1) / 2;
+            if (learnTarget) {
+                if (!(input in learnBaseline)) learnBaseline[input] = value;
+                if (Math.abs(value - learnBaseline[input]) * 2 >= LEARN_AXIS_TRAVEL) handleControlInput(input, value);
+            } else if (!(input in inputState) || Math.abs(value - inputState[input]) > AXIS_EPSILON) {
+                inputState[input] = value;
+                handleControlInput(input, value);
+            }
+        });
+        pad.buttons.forEach((button, j) => {
+            const input = `pad${pad.index}:button${j}`;
+            if (button.pressed && !inputState[input]) handleControlInput(input, 1);
+            inputState[input] = button.pressed;
+        });
+    }
+}
+
+function startGamepadPolling() {
+    if (!gamepadTimer) gamepadTimer = setInterval(pollGamepads, GAMEPAD_POLL_MS);
+}
+
+function updateGamepadDevices() {
+    const pads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean);
+    document.getElementById('controllers-pads').textContent = pads.length > 0
+        ? `Gamepads: ${pads.map(pad => pad.id).join(', ')}`
+        : 'Gamepads: press a button to connect';
+}
+
+function startLearning(target) {
+    learnTarget = target;
+    learnBaseline = {};
+    document.getElementById('controllers-learn').textContent = 'Cancel';
+    setControllersStatus(`Move a MIDI control or gamepad input for ${targetLabel(target)}...`);
+}
+
+function stopLearning() {
+    learnTarget = null;
+    document.getElementById('controllers-learn').textContent = 'Learn';
+}
+
+// Targets for the learn select: the current process' sliders and the rest
+function updateControllerTargets() {
+    const select = document.getElementById('controllers-target');
+    const selected = select.value;
+    select.innerHTML = '';
+    for (const field of PCADynamics.getProcess(dynamics).schema) {
+        select.add(new Option(field.label, field.key));
+    }
+    select.add(new Option('speed', 'steps'));
+    select.add(new Option('components', 'num_pc'));
+    select.add(new Option('dataset', 'dataset'));
+    select.add(new Option('component offset', 'offset'));
+    if (Array.from(select.options).some(o => o.value === selected)) select.value = selected;
+    document.getElementById('controllers-component').hidden = select.value !== 'offset';
+}
+
+function updateControllerList() {
+    const list = document.getElementById('controllers-list');
+    list.innerHTML = '';
+
+    if (controllerMappings.length === 0) {
+        list.textContent = 'No mappings; pick a parameter and press Learn.';
+    }
+
+    controllerMappings.forEach((mapping, i) => {
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${inputLabel(mapping.input)} → ${targetLabel(mapping.target)}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'tool-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            controllerMappings.splice(i, 1);
+            saveControllerMappings();
+            updateControllerList();
+        });
+
+        row.append(label, removeBtn);
+        list.appendChild(row);
+    });
+}
+
+function initControllersPanel() {
+    const panel = document.getElementById('controllers-panel');
+    const targetSelect = document.getElementById('controllers-target');
+    const componentInput = document.getElementById('controllers-component');
+    const fileInput = document.getElementById('controllers-file');
+
+    loadControllerMappings();
+
+    document.getElementById('controllers-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+        if (panel.classList.contains('open')) updateGamepadDevices();
+    });
+    document.getElementById('controllers-midi').addEventListener('click', connectMidi);
+
+    targetSelect.addEventListener('change', () => {
+        componentInput.hidden = targetSelect.value !== 'offset';
+    });
+    document.getElementById('controllers-learn').addEventListener('click', () => {
+        if (learnTarget) {
+            stopLearning();
+            setControllersStatus('');
+            return;
+        }
+        const component = Math.max(0, Math.min(NUM_PCS - 1, parseInt(componentInput.value) || 0));
+        startLearning(targetSelect.value === 'offset' ? `offset:${component}` : targetSelect.value);
+    });
+
+    document.getElementById('controllers-export').addEventListener('click', exportControllerMappings);
+    document.getElementById('controllers-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) importControllerMappings(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    document.getElementById('controllers-clear').addEventListener('click', () => {
+        controllerMappings = [];
+        saveControllerMappings();
+        updateControllerList();
+    });
+    document.getElementById('controllers-reset-offsets').addEventListener('click', () => {
+        componentOffsets.clear();
+        sendComponentOffsets();
+    });
+
+    // Browsers only expose a gamepad after one of its buttons is pressed
+    window.addEventListener('gamepadconnected', (e) => {
+        console.log(`Gamepad connected: ${e.gamepad.id}`);
+        updateGamepadDevices();
+        startGamepadPolling();
+    });
+    window.addEventListener('gamepaddisconnected', updateGamepadDevices);
+
+    updateControllerTargets();
+    updateControllerList();
+}
@@ -0,0 +1,262 @@
+// Dataset manifest parsing and validation.
+// Loaded by worker.js through importScripts() and usable from Node via require().
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PCADataset = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    const FORMAT_VERSION = 1;
+
+    // Element sizes for the dtypes a manifest may declare
+    const DTYPE_BYTES = {
+        float32: 4,
+        float16: 2,
+        int32: 4,
+        int8: 1
+    };
+
+    // Dtypes that need a per-row scale and offset to be dequantized
+    const QUANTIZED_DTYPES = ['int8'];
+
+    const SUPPORTED_CHANNELS = [3];
+
+    function product(shape) {
+        return shape.reduce((a, b) => a * b, 1);
+    }
+
+    function shapeString(shape) {
+        return '[' + shape.join(', ') + ']';
+    }
+
+    function sameShape(a, b) {
+        return a.length === b.length && a.every((v, i) => v === b[i]);
+    }
+
+    // int8 entries carry float scale/offset vectors, one value per leading row
+    function validateQuantization(id, name, entry) {
+        const quantized = QUANTIZED_DTYPES.includes(entry.dtype);
+        const rows = entry.shape[0];
+
+        for (const key of ['scale', 'offset']) {
+            const sub = entry[key];
+            if (!sub) {
+                if (quantized) {
+                    throw new Error(`Dataset ${id}: ${name} is ${entry.dtype} but has no "${key}" entry`);
+                }
+                continue;
+            }
+            if (typeof sub.file !== 'string' || (sub.dtype !== 'float32' && sub.dtype !== 'float16')) {
+                throw new Error(`Dataset ${id}: ${name}.${key} must name a float32 or float16 file`);
+            }
+            if (!Array.isArray(sub.shape) || !sameShape(sub.shape, [rows])) {
+                throw new Error(`Dataset ${id}: ${name}.${key} shape ${shapeString(sub.shape || [])} does not match [${rows}]`);
+            }
+        }
+    }
+
+    // Check that a manifest describes a dataset this loader understands.
+    // Throws an Error describing the first problem found.
+    function validateManifest(manifest) {
+        if (!manifest || typeof manifest !== 'object') {
+            throw new Error('Manifest is not a JSON object');
+        }
+
+        const id = manifest.id || '(unnamed)';
+
+        if (manifest.format_version !== FORMAT_VERSION) {
+            throw new Error(`Dataset ${id}: unsupported manifest format_version ${manifest.format_version} (expected ${FORMAT_VERSION})`);
+        }
+
+        if (manifest.byte_order !== 'little' && manifest.byte_order !== 'big') {
+            throw new Error(`Dataset ${id}: byte_order must be "little" or "big", got ${JSON.stringify(manifest.byte_order)}`);
+        }
+
+        for (const key of ['num_components', 'height', 'width', 'channels']) {
+            if (!Number.isInteger(manifest[key]) || manifest[key] <= 0) {
+                throw new Error(`Dataset ${id}: ${key} must be a positive integer`);
+            }
+        }
+
+        if (!SUPPORTED_CHANNELS.includes(manifest.channels)) {
+            throw new Error(`Dataset ${id}: unsupported channel count ${manifest.channels}`);
+        }
+
+        const range = manifest.value_range;
+        if (!Array.isArray(range) || range.length !== 2 || !(range[1] > range[0])) {
+            throw new Error(`Dataset ${id}: value_range must be [min, max] with max > min`);
+        }
+
+        const files = manifest.files || {};
+        const K = manifest.num_components;
+        const pixelShape = [manifest.height, manifest.width, manifest.channels];
+        const expectedShapes = {
+            stds: [K],
+            mu: pixelShape,
+            eigvecs: [K].concat(pixelShape)
+        };
+
+        for (const name of Object.keys(expectedShapes)) {
+            const entry = files[name];
+            if (!entry || typeof entry.file !== 'string') {
+                throw new Error(`Dataset ${id}: missing file entry "${name}"`);
+            }
+            if (!(entry.dtype in DTYPE_BYTES)) {
+                throw new Error(`Dataset ${id}: ${name} has unsupported dtype ${JSON.stringify(entry.dtype)}`);
+            }
+            if (!Array.isArray(entry.shape) || !sameShape(entry.shape, expectedShapes[name])) {
+                throw new Error(`Dataset ${id}: ${name} shape ${shapeString(entry.shape || [])} does not match header ${shapeString(expectedShapes[name])}`);
+            }
+            validateQuantization(id, name, entry);
+        }
+
+        return manifest;
+    }
+
+    // Byte length a file entry must have on disk
+    function expectedByteLength(entry) {
+        return product(entry.shape) * DTYPE_BYTES[entry.dtype];
+    }
+
+    // Every file a manifest references, with its expected size in bytes
+    function manifestFiles(manifest) {
+        const result = [];
+        for (const name of Object.keys(manifest.files)) {
+            const entry = manifest.files[name];
+            result.push({ name, file: entry.file, bytes: expectedByteLength(entry) });
+            for (const key of ['scale', 'offset']) {
+                if (entry[key]) {
+                    result.push({ name: `${name}.${key}`, file: entry[key].file, bytes: expectedByteLength(entry[key]) });
+                }
+            }
+        }
+        return result;
+    }
+
+    // IEEE 754 half precision bits to a JS number
+    function halfToFloat(h) {
+        const sign = (h & 0x8000) ? -1 : 1;
+        const exp = (h >> 10) & 0x1f;
+        const frac = h & 0x03ff;
+
+        if (exp === 0) {
+            return sign * frac * Math.pow(2, -24);
+        }
+        if (exp === 0x1f) {
+            return frac ? NaN : sign * Infinity;
+        }
+        return sign * (1 + frac / 1024) * Math.pow(2, exp - 15);
+    }
+
+    // JS number to IEEE 754 half precision bits (round to nearest even)
+    const f32 = new Float32Array(1);
+    const u32 = new Uint32Array(f32.buffer);
+    function floatToHalf(value) {
+        f32[0] = value;
+        const x = u32[0];
+        const sign = (x >>> 16) & 0x8000;
+        const exp = (x >>> 23) & 0xff;
+        let mant = x & 0x7fffff;
+
+        if (exp === 0xff) {
+            return sign | 0x7c00 | (mant ? 0x200 : 0);
+        }
+
+        const e = exp - 127 + 15;
+        if (e >= 0x1f) {
+            return sign | 0x7c00;
+        }
+        if (e <= 0) {
+            if (e < -10) return sign;
+            mant |= 0x800000;
+            const shift = 14 - e;
+            let half = mant >> shift;
+            const rem = mant & ((1 << shift) - 1);
+            const mid = 1 << (shift - 1);
+            if (rem > mid || (rem === mid && (half & 1))) half++;
+            return sign | half;
+        }
+
+        let half = sign | (e << 10) | (mant >> 13);
+        const rem = mant & 0x1fff;
+        if (rem > 0x1000 || (rem === 0x1000 && (half & 1))) half++;
+        return half;
+    }
+
+    // Read element i of a raw buffer as a JS number
+    function elementReader(view, dtype, littleEndian) {
+        switch (dtype) {
+            case 'float32': return (i) => view.getFloat32(i * 4, littleEndian);
+            case 'float16': return (i) => halfToFloat(view.getUint16(i * 2, littleEndian));
+            case 'int32': return (i) => view.getInt32(i * 4, littleEndian);
+            case 'int8': return (i) => view.getInt8(i);
+        }
+        throw new Error(`Unsupported dtype ${dtype}`);
+    }
+
+    // URL of a manifest file; absolute URLs (e.g. blob: for datasets built in
+    // the browser) are used as they are instead of joining with the base
+    function fileUrl(baseUrl, file) {
+        return /^[a-z][a-z0-9+.-]*:/i.test(file) ? file : `${baseUrl}/${file}`;
+    }
+
+    // Elements per leading row of an entry (one principal component for eigvecs)
+    function rowSize(entry) {
+        return product(entry.shape) / entry.shape[0];
+    }
+
+    // Bytes per leading row of an entry on disk
+    function rowByteLength(entry) {
+        return rowSize(entry) * DTYPE_BYTES[entry.dtype];
+    }
+
+    // Decode rows [rowStart, rowEnd) of an entry into `out`.
+    // `bytes` holds the file from its first byte, at least up to rowEnd.
+    // Quantized entries need `quant` = { scale, offset }, each a Float32Array with
+    // one value per leading row: value = q * scale[row] + offset[row].
+    function decodeRows(bytes, entry, byteOrder, quant, out, rowStart, rowEnd) {
+        const size = rowSize(entry);
+        const view = new DataView(bytes.buffer || bytes, bytes.byteOffset || 0);
+        const read = elementReader(view, entry.dtype, byteOrder === 'little');
+
+        for (let row = rowStart; row < rowEnd; row++) {
+            const scale = quant ? quant.scale[row] : 1;
+            const offset = quant ? quant.offset[row] : 0;
+            for (let i = row * size; i < (row + 1) * size; i++) {
+                out[i] = read(i) * scale + offset;
+            }
+        }
+
+        return out;
+    }
+
+    // Decode a raw file into a Float32Array, checking its length against the manifest
+    function decodeFile(name, buffer, entry, byteOrder, quant) {
+        const expected = expectedByteLength(entry);
+        if (buffer.byteLength !== expected) {
+            throw new Error(`${entry.file}: expected ${expected} bytes for ${name} ${entry.dtype}${shapeString(entry.shape)}, got ${buffer.byteLength}`);
+        }
+
+        const out = new Float32Array(product(entry.shape));
+        return decodeRows(buffer, entry, byteOrder, quant, out, 0, entry.shape[0]);
+    }
+
+    return {
+        FORMAT_VERSION,
+        DTYPE_BYTES,
+        QUANTIZED_DTYPES,
+        product,
+        halfToFloat,
+        floatToHalf,
+        validateManifest,
+        expectedByteLength,
+        manifestFiles,
+        fileUrl,
+        rowSize,
+        rowByteLength,
+        decodeRows,
+        decodeFile
+    };
+});
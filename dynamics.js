@@ -0,0 +1,210 @@
+// Latent dynamics for the sampler: how z moves from one frame to the next.
+// Each process describes its parameters with a schema, which the page turns
+// into sliders, and steps z in place. All parameters share one flat params
+// object (the page's pcaParams), so keys with the same meaning, like s, carry
+// over between processes and tile overrides apply to any of them.
+//
+// A process has:
+//   label
+//   schema               [{ key, label, min, max, step, value }], value is the default
+//   init(ctx)            -> per-sampler state, after z is sampled (may set z)
+//   step(ctx, state)     advance z one frame
+//
+// ctx = { z, stds, count, numPcs, rng, frame, tiles, frozen, target }: z is
+// [count, numPcs]; frame is the frame being produced; tiles[i] are tile i's
+// merged params (num_pc included); target is the pinned latent or null.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PCADynamics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    const VARIANCE = { key: 's', label: 'variance', min: 0, max: 3, step: 0.01, value: 0.9 };
+
+    // Components the mask lets through for tile i
+    function tileComponents(ctx, i) {
+        return Math.min(ctx.tiles[i].num_pc, ctx.numPcs);
+    }
+
+    const PROCESSES = {
+        // z = k*z + sqrt(1-k^2)*s*mask*noise*stds
+        ar1: {
+            label: 'AR(1) walk',
+            schema: [
+                { key: 'k', label: 'autocorrelation', min: 0, max: 1, step: 0.01, value: 0.9 },
+                VARIANCE,
+                { key: 'p', label: 'dropout', min: 0, max: 1, step: 0.01, value: 1.0 }
+            ],
+            init() {
+                return null;
+            },
+            step(ctx) {
+                const { z, stds, numPcs, rng, tiles, frozen } = ctx;
+                for (let i = 0; i < ctx.count; i++) {
+                    const { k, s, p } = tiles[i];
+                    const a = Math.sqrt(1 - k * k) * s;
+                    const numPc = tileComponents(ctx, i);
+                    const isFrozen = frozen.has(i);
+                    for (let j = 0; j < numPcs; j++) {
+                        const idx = i * numPcs + j;
+                        // Draw both numbers for every entry so the stream does not depend on p, num_pc or freezing
+                        const keep = rng.uniform() < p && j < numPc;
+                        const noise = rng.normal();
+                        if (!isFrozen) {
+                            z[idx] = k * z[idx] + (keep ? a * noise * stds[j] : 0);
+                        }
+                    }
+                }
+            }
+        },
+
+        // Damped spring driven by noise (underdamped Langevin): the velocity
+        // carries over, so the motion is smoother than the AR(1) walk.
+        // Stationary spread is about s*stds.
+        momentum: {
+            label: 'Momentum walk',
+            schema: [
+                { key: 'friction', label: 'friction', min: 0.01, max: 1, step: 0.01, value: 0.1 },
+                { key: 'spring', label: 'spring', min: 0.01, max: 0.5, step: 0.01, value: 0.05 },
+                VARIANCE
+            ],
+            init(ctx) {
+                return { v: new Float32Array(ctx.z.length) };
+            },
+            step(ctx, state) {
+                const { z, stds, numPcs, rng, tiles, frozen } = ctx;
+                for (let i = 0; i < ctx.count; i++) {
+                    const { friction, spring, s } = tiles[i];
+                    const sigma = s * spring * Math.sqrt(2 * friction);
+                    const numPc = tileComponents(ctx, i);
+                    const isFrozen = frozen.has(i);
+                    for (let j = 0; j < numPcs; j++) {
+                        const idx = i * numPcs + j;
+                        const noise = rng.normal();
+                        if (isFrozen) continue;
+                        const force = j < numPc ? sigma * noise * stds[j] : 0;
+                        state.v[idx] = (1 - friction) * state.v[idx] - spring * spring * z[idx] + force;
+                        z[idx] += state.v[idx];
+                    }
+                }
+            }
+        },
+
+        // Deterministic Lissajous orbits: component j of each tile is a sine of
+        // its own frequency, spread around the orbit speed, with a random phase
+        lissajous: {
+            label: 'Lissajous orbits',
+            schema: [
+                { key: 'orbit_speed', label: 'orbit speed', min: 0.001, max: 0.05, step: 0.001, value: 0.01 },
+                { key: 'orbit_spread', label: 'frequency spread', min: 0, max: 1, step: 0.01, value: 0.3 },
+                VARIANCE
+            ],
+            init(ctx) {
+                const phases = new Float32Array(ctx.z.length);
+                for (let i = 0; i < phases.length; i++) {
+                    phases[i] = ctx.rng.uniform() * 2 * Math.PI;
+                }
+                const state = { phases };
+                this.step(ctx, state);
+                return state;
+            },
+            step(ctx, state) {
+                const { z, stds, numPcs, tiles, frozen, frame } = ctx;
+                for (let i = 0; i < ctx.count; i++) {
+                    if (frozen.has(i)) continue;
+                    const { orbit_speed, orbit_spread, s } = tiles[i];
+                    const numPc = tileComponents(ctx, i);
+                    for (let j = 0; j < numPcs; j++) {
+                        const idx = i * numPcs + j;
+                        // Golden-ratio steps keep the frequencies incommensurate
+                        const ratio = ((j * 0.618034) % 1) * 2 - 1;
+                        const freq = orbit_speed * (1 + orbit_spread * ratio);
+                        z[idx] = j < numPc
+                            ? s * Math.SQRT2 * stds[j] * Math.sin(2 * Math.PI * freq * frame + state.phases[idx])
+                            : 0;
+                    }
+                }
+            }
+        },
+
+        // AR(1) around the pinned latent (the first keyframe) instead of zero
+        revert: {
+            label: 'Revert to pinned',
+            schema: [
+                { key: 'pull', label: 'pull', min: 0, max: 0.5, step: 0.005, value: 0.05 },
+                VARIANCE
+            ],
+            init() {
+                return null;
+            },
+            step(ctx) {
+                const { z, stds, numPcs, rng, tiles, frozen, target } = ctx;
+                for (let i = 0; i < ctx.count; i++) {
+                    const keep = 1 - tiles[i].pull;
+                    const a = Math.sqrt(1 - keep * keep) * tiles[i].s;
+                    const numPc = tileComponents(ctx, i);
+                    const isFrozen = frozen.has(i);
+                    for (let j = 0; j < numPcs; j++) {
+                        const idx = i * numPcs + j;
+                        const noise = rng.normal();
+                        if (isFrozen) continue;
+                        const center = target ? target[j] : 0;
+                        z[idx] = center + keep * (z[idx] - center) + (j < numPc ? a * noise * stds[j] : 0);
+                    }
+                }
+            }
+        },
+
+        // Each tile holds its starting latent while one component at a time
+        // sweeps a full sine through +-range standard deviations
+        tour: {
+            label: 'Component tour',
+            schema: [
+                { key: 'tour_frames', label: 'frames per component', min: 5, max: 200, step: 1, value: 40 },
+                { key: 'tour_range', label: 'range (std)', min: 0, max: 4, step: 0.1, value: 2 }
+            ],
+            init(ctx) {
+                return { base: ctx.z.slice() };
+            },
+            step(ctx, state) {
+                const { z, stds, numPcs, tiles, frozen, frame } = ctx;
+                for (let i = 0; i < ctx.count; i++) {
+                    if (frozen.has(i)) continue;
+                    const { tour_frames, tour_range } = tiles[i];
+                    const period = Math.max(1, Math.round(tour_frames));
+                    const component = Math.floor(frame / period) % Math.max(1, tileComponents(ctx, i));
+                    const phase = (frame % period) / period;
+
+                    const row = i * numPcs;
+                    z.set(state.base.subarray(row, row + numPcs), row);
+                    z[row + component] = state.base[row + component] +
+                        tour_range * stds[component] * Math.sin(2 * Math.PI * phase);
+                }
+            }
+        }
+    };
+
+    // Every process' parameters at their defaults, in one flat object
+    function defaultParams() {
+        const params = {};
+        for (const process of Object.values(PROCESSES)) {
+            for (const field of process.schema) {
+                params[field.key] = field.value;
+            }
+        }
+        return params;
+    }
+
+    function getProcess(name) {
+        return PROCESSES[name] || PROCESSES.ar1;
+    }
+
+    return {
+        PROCESSES,
+        NAMES: Object.keys(PROCESSES),
+        defaultParams,
+        getProcess
+    };
+});
@@ -0,0 +1,214 @@
+// Encode: project a user image into the current basis, (x - mu) @ eigvecs^T,
+// and show its reconstruction, coefficients and residual. The coefficients
+// can replace the inspected tile's latent, which the walk then starts from.
+let encodeSource = null;
+let encodePixels = null;
+let projection = null;
+let encodeRendering = false;
+let encodeDirty = false;
+
+function setEncodeStatus(text) {
+    document.getElementById('encode-status').textContent = text;
+}
+
+// Scale the image to cover width x height on `canvas` and crop the center, returning RGBA
+function coverCrop(image, canvas, width, height) {
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const scale = Math.max(width / image.width, height / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+    return ctx.getImageData(0, 0, width, height).data;
+}
+
+async function loadEncodeImage(file) {
+    try {
+        encodeSource = await createImageBitmap(file);
+        console.log(`Encode image: ${file.name} (${encodeSource.width}x${encodeSource.height})`);
+        await projectSource();
+    } catch (err) {
+        console.error('Encode image error:', err);
+        setEncodeStatus('Error: ' + err.message);
+    }
+}
+
+async function projectSource() {
+    if (!encodeSource) return;
+    if (!isReady) {
+        setEncodeStatus('Waiting for the dataset to load');
+        return;
+    }
+
+    encodePixels = coverCrop(encodeSource, document.getElementById('encode-input'), WP, HP);
+    const rgb = new Float32Array(HP * WP * 3);
+    for (let i = 0; i < HP * WP; i++) {
+        rgb[i * 3] = encodePixels[i * 4];
+        rgb[i * 3 + 1] = encodePixels[i * 4 + 1];
+        rgb[i * 3 + 2] = encodePixels[i * 4 + 2];
+    }
+
+    const reply = await requestFromWorker({ type: 'project_image', pixels: rgb }, [rgb.buffer]);
+    projection = { dataset: currentDataset, z: reply.z, stds: reply.stds };
+
+    const slider = document.getElementById('encode-pcs-slider');
+    slider.max = reply.z.length;
+    if (parseInt(slider.value) > reply.z.length) {
+        slider.value = reply.z.length;
+    }
+    document.getElementById('encode-pcs-value').textContent = slider.value;
+
+    const partial = reply.loadedPCs < reply.z.length ? ` (${reply.loadedPCs} components loaded so far)` : '';
+    setEncodeStatus(`Projected onto ${currentDataset}${partial}`);
+    document.getElementById('encode-apply').disabled = false;
+    renderProjection();
+}
+
+// A new dataset means a new basis; keep the image and project it again later
+function clearProjection() {
+    projection = null;
+    document.getElementById('encode-apply').disabled = true;
+    drawCoefficientChart();
+    if (encodeSource) {
+        setEncodeStatus('Dataset changed; press Project to encode the image again');
+    }
+}
+
+// Coefficients in standard deviations; components past the slider are dimmed
+function drawCoefficientChart() {
+    const canvas = document.getElementById('encode-chart');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!projection) return;
+
+    const { z, stds } = projection;
+    const pcs = parseInt(document.getElementById('encode-pcs-slider').value);
+    const mid = canvas.height / 2;
+    const barW = canvas.width / z.length;
+    const range = 4;
+
+    ctx.fillStyle = '#555';
+    ctx.fillRect(0, mid, canvas.width, 1);
+
+    for (let j = 0; j < z.length; j++) {
+        const sigma = Math.max(-range, Math.min(range, z[j] / stds[j]));
+        const h = sigma / range * mid;
+        ctx.fillStyle = j < pcs ? '#e0e0e0' : '#555';
+        ctx.fillRect(j * barW, h > 0 ? mid - h : mid, Math.max(1, barW - 1), Math.abs(h));
+    }
+}
+
+// Render the reconstruction with the first N components and the residual |x - x_hat|
+async function renderProjection() {
+    if (encodeRendering) {
+        encodeDirty = true;
+        return;
+    }
+
+    encodeRendering = true;
+    try {
+        do {
+            encodeDirty = false;
+            if (!projection) break;
+            drawCoefficientChart();
+
+            const pcs = parseInt(document.getElementById('encode-pcs-slider').value);
+            const reply = await requestFromWorker({ type: 'render_tile', z: projection.z, pcs });
+            if (!projection) break;
+
+            const recon = new Uint8ClampedArray(reply.data);
+            const reconCanvas = document.getElementById('encode-recon');
+            reconCanvas.width = reply.width;
+            reconCanvas.height = reply.height;
+            reconCanvas.getContext('2d').putImageData(new ImageData(recon, reply.width, reply.height), 0, 0);
+
+            // Residual, amplified 4x so small errors are visible
+            const residual = new Uint8ClampedArray(recon.length);
+            let squared = 0;
+            for (let i = 0; i < recon.length; i += 4) {
+                for (let c = 0; c < 3; c++) {
+                    const diff = encodePixels[i + c] - recon[i + c];
+                    squared += diff * diff;
+                    residual[i + c] = Math.abs(diff) * 4;
+                }
+                residual[i + 3] = 255;
+            }
+            const residualCanvas = document.getElementById('encode-residual');
+            residualCanvas.width = reply.width;
+            residualCanvas.height = reply.height;
+            residualCanvas.getContext('2d').putImageData(new ImageData(residual, reply.width, reply.height), 0, 0);
+
+            const rmse = Math.sqrt(squared / (reply.width * reply.height * 3));
+            const psnr = rmse > 0 ? 20 * Math.log10(255 / rmse) : Infinity;
+            document.getElementById('encode-error').textContent =
+                `${pcs} components: RMSE ${rmse.toFixed(2)}, PSNR ${psnr.toFixed(1)} dB`;
+        } while (encodeDirty);
+    } catch (err) {
+        console.error('Encode render error:', err);
+        setEncodeStatus('Error: ' + err.message);
+    } finally {
+        encodeRendering = false;
+    }
+}
+
+// Put the projected latent into the inspected tile; the walk continues from it
+function applyProjection() {
+    if (!projection) return;
+    if (inspectedTile === null) {
+        setEncodeStatus('Click a tile to choose where the projection goes');
+        return;
+    }
+    if (projection.dataset !== currentDataset) {
+        setEncodeStatus('Projection is for another dataset; press Project again');
+        return;
+    }
+
+    worker.postMessage({ type: 'set_tile_latent', tile: inspectedTile, z: projection.z });
+    console.log(`Projected latent applied to tile ${inspectedTile}`);
+    setEncodeStatus(`Applied to tile ${Math.floor(inspectedTile / WG)},${inspectedTile % WG}; close the inspector to let it walk`);
+    refreshInspector();
+}
+
+function initEncodePanel() {
+    const panel = document.getElementById('encode-panel');
+    const fileInput = document.getElementById('encode-file');
+
+    document.getElementById('encode-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+    document.getElementById('encode-upload').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            loadEncodeImage(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+    document.getElementById('encode-project').addEventListener('click', () => {
+        projectSource().catch((err) => {
+            console.error('Projection error:', err);
+            setEncodeStatus('Error: ' + err.message);
+        });
+    });
+    document.getElementById('encode-apply').addEventListener('click', applyProjection);
+
+    const slider = document.getElementById('encode-pcs-slider');
+    slider.addEventListener('input', () => {
+        document.getElementById('encode-pcs-value').textContent = slider.value;
+        renderProjection();
+    });
+
+    // Dropping an image anywhere opens the panel and projects it
+    document.addEventListener('dragover', (e) => e.preventDefault());
+    document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('image/'));
+        if (file) {
+            panel.classList.add('open');
+            loadEncodeImage(file);
+        }
+    });
+
+    document.getElementById('encode-apply').disabled = true;
+}
@@ -0,0 +1,371 @@
+// Recording: step the crossfade deterministically (fixed frames per transition,
+// independent of the display rate) and encode the frames as WebM, an animated
+// GIF (gif-worker.js) or a ZIP of PNGs. Also single-frame and single-tile PNGs.
+let recording = false;
+let recordingCancelled = false;
+
+function setExportStatus(text) {
+    document.getElementById('export-status').textContent = text;
+}
+
+function exportBaseName() {
+    return `${currentDataset}-${HG}x${WG}-seed${seed}-frame${displayedFrame()}`;
+}
+
+// Read the WebGL canvas back as top-down RGBA rows
+function readCanvasPixels() {
+    return renderer.readPixels();
+}
+
+function pixelsToPNG(pixels, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer), width, height), 0, 0);
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+// CRC-32 (IEEE) for ZIP entries
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed ("stored") ZIP; PNGs are already deflated
+function buildZip(files) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(8, 0, true);            // method: stored
+        local.setUint16(12, 0x21, true);        // date: 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);           // version made by
+        entry.setUint16(6, 20, true);           // version needed
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    let centralSize = 0;
+    for (const part of central) centralSize += part.length;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// WebM through MediaRecorder. Frames are pushed with requestFrame() and paced
+// at the target fps; the recorder is paused while waiting on the worker so a
+// slow generator does not show up as a stall in the clip.
+function createWebMSink(fps) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('This browser cannot record WebM');
+    }
+
+    const stream = gl.canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.start();
+
+    const frameMs = 1000 / fps;
+    let lastFrame = performance.now();
+
+    return {
+        extension: 'webm',
+        async addFrame() {
+            track.requestFrame();
+            const wait = lastFrame + frameMs - performance.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            lastFrame = performance.now();
+        },
+        pause() {
+            if (recorder.state === 'recording') recorder.pause();
+        },
+        resume() {
+            if (recorder.state === 'paused') recorder.resume();
+            lastFrame = performance.now();
+        },
+        finish() {
+            return new Promise((resolve) => {
+                recorder.onstop = () => {
+                    track.stop();
+                    resolve(new Blob(chunks, { type: 'video/webm' }));
+                };
+                recorder.stop();
+            });
+        },
+        abort() {
+            recorder.onstop = () => track.stop();
+            if (recorder.state !== 'inactive') recorder.stop();
+        }
+    };
+}
+
+// Animated GIF; frames are quantized and LZW-encoded in gif-worker.js
+function createGIFSink(fps) {
+    const width = gl.canvas.width;
+    const height = gl.canvas.height;
+    const gifWorker = new Worker('gif-worker.js');
+    let failure = null;
+    let finished = null;
+
+    gifWorker.onmessage = (e) => {
+        switch (e.data.type) {
+            case 'done':
+                finished(new Blob([e.data.data], { type: 'image/gif' }));
+                break;
+            case 'error':
+                failure = new Error(e.data.data);
+                break;
+        }
+    };
+
+    gifWorker.postMessage({ type: 'start', width, height, delayCs: Math.max(2, Math.round(100 / fps)) });
+
+    return {
+        extension: 'gif',
+        async addFrame() {
+            if (failure) throw failure;
+            const pixels = readCanvasPixels();
+            gifWorker.postMessage({ type: 'frame', data: pixels.buffer }, [pixels.buffer]);
+        },
+        finish() {
+            return new Promise((resolve, reject) => {
+                if (failure) {
+                    reject(failure);
+                    return;
+                }
+                finished = (blob) => {
+                    gifWorker.terminate();
+                    resolve(blob);
+                };
+                gifWorker.onerror = (err) => reject(new Error(err.message));
+                gifWorker.postMessage({ type: 'finish' });
+            });
+        },
+        abort() {
+            gifWorker.terminate();
+        }
+    };
+}
+
+// ZIP of numbered PNG frames
+function createPNGSink() {
+    const width = gl.canvas.width;
+    const height = gl.canvas.height;
+    const pending = [];
+
+    return {
+        extension: 'zip',
+        async addFrame() {
+            const name = `frame${String(pending.length).padStart(5, '0')}.png`;
+            pending.push(pixelsToPNG(readCanvasPixels(), width, height)
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => ({ name, data: new Uint8Array(buffer) })));
+        },
+        async finish() {
+            return buildZip(await Promise.all(pending));
+        },
+        abort() {}
+    };
+}
+
+// Record `transitions` crossfades of `framesPerTransition` frames each
+async function recordAnimation({ format, transitions, framesPerTransition, fps }) {
+    if (recording) return;
+    if (!isReady) {
+        setExportStatus('Nothing to record yet');
+        return;
+    }
+    if (offscreen) {
+        setExportStatus('Recording steps the page display; turn off Offscreen first');
+        return;
+    }
+
+    recording = true;
+    recordingCancelled = false;
+    updateExportButtons();
+
+    const recordEpoch = epoch;
+    const base = exportBaseName();
+    let sink = null;
+
+    await holdAnimation();
+
+    try {
+        if (format === 'webm') sink = createWebMSink(fps);
+        else if (format === 'gif') sink = createGIFSink(fps);
+        else sink = createPNGSink();
+
+        console.log(`Recording ${transitions} transitions x ${framesPerTransition} frames as ${format}`);
+
+        // Latent in-betweens split a transition into several shorter ones
+        let recorded = 0;
+        while (recorded < transitions - 1e-6) {
+            const subframes = slotSubframes[nextTexIdx];
+            const frames = Math.max(1, Math.round(framesPerTransition / subframes));
+            for (let i = 0; i < frames; i++) {
+                if (recordingCancelled) throw new Error('Cancelled');
+                t = i / frames;
+                render();
+                await sink.addFrame();
+            }
+            recorded += 1 / subframes;
+            setExportStatus(`Recording ${Math.floor(recorded + 1e-6)}/${transitions}`);
+
+            // Advance to the next image exactly as animate() does, but upload it in one go
+            currTexIdx = (currTexIdx + 1) % BUFFER_SIZE;
+            nextTexIdx = (nextTexIdx + 1) % BUFFER_SIZE;
+            if (sink.pause) sink.pause();
+            const item = await queueGet();
+            if (sink.resume) sink.resume();
+            if (!item || epoch !== recordEpoch) {
+                throw new Error('Dataset or grid changed during recording');
+            }
+            storeFrame(item);
+        }
+
+        // Close on the last image so the clip ends on a whole frame
+        t = 0;
+        render();
+        await sink.addFrame();
+
+        setExportStatus('Encoding...');
+        const blob = await sink.finish();
+        downloadBlob(blob, `${base}.${sink.extension}`);
+        setExportStatus(`Saved ${base}.${sink.extension} (${formatBytes(blob.size)})`);
+    } catch (err) {
+        console.error('Recording error:', err);
+        if (sink) sink.abort();
+        setExportStatus(err.message === 'Cancelled' ? 'Cancelled' : 'Error: ' + err.message);
+    } finally {
+        recording = false;
+        updateExportButtons();
+        // After an epoch change resetDisplay() already restarted the cycle
+        if (epoch === recordEpoch) {
+            t = 0;
+        }
+        releaseAnimation();
+    }
+}
+
+// Save the grid exactly as it is on screen now
+async function saveFramePNG() {
+    // The worker owns an offscreen display and reads it back itself
+    if (offscreen) {
+        try {
+            const reply = await requestFromWorker({ type: 'read_frame' });
+            const blob = await pixelsToPNG(new Uint8Array(reply.data), reply.width, reply.height);
+            downloadBlob(blob, `${exportBaseName()}.png`);
+        } catch (err) {
+            setExportStatus('Error: ' + err.message);
+        }
+        return;
+    }
+    if (!gl) return;
+    render();
+    const blob = await pixelsToPNG(readCanvasPixels(), gl.canvas.width, gl.canvas.height);
+    downloadBlob(blob, `${exportBaseName()}.png`);
+}
+
+// Save the inspected tile at full HP x WP resolution
+function saveTilePNG() {
+    if (inspectedTile === null) return;
+    const canvas = document.getElementById('inspector-canvas');
+    const row = Math.floor(inspectedTile / WG);
+    const col = inspectedTile % WG;
+    canvas.toBlob((blob) => {
+        downloadBlob(blob, `${currentDataset}-seed${seed}-tile${row}_${col}.png`);
+    }, 'image/png');
+}
+
+function updateExportButtons() {
+    document.getElementById('export-start').disabled = recording;
+    document.getElementById('export-cancel').disabled = !recording;
+}
+
+function initExportPanel() {
+    const formatSelect = document.getElementById('export-format');
+    const transitionsInput = document.getElementById('export-transitions');
+    const framesInput = document.getElementById('export-frames');
+    const fpsInput = document.getElementById('export-fps');
+
+    if (typeof MediaRecorder === 'undefined') {
+        formatSelect.querySelector('option[value="webm"]').disabled = true;
+        formatSelect.value = 'gif';
+    }
+
+    document.getElementById('export-btn').addEventListener('click', () => {
+        const panel = document.getElementById('export-panel');
+        // Default to the speed currently on screen
+        if (!panel.classList.contains('open') && !recording) {
+            framesInput.value = steps;
+        }
+        panel.classList.toggle('open');
+    });
+
+    document.getElementById('export-start').addEventListener('click', () => {
+        recordAnimation({
+            format: formatSelect.value,
+            transitions: Math.max(1, parseInt(transitionsInput.value) || 1),
+            framesPerTransition: Math.max(1, parseInt(framesInput.value) || 1),
+            fps: Math.max(1, parseInt(fpsInput.value) || 30)
+        });
+    });
+    document.getElementById('export-cancel').addEventListener('click', () => {
+        recordingCancelled = true;
+    });
+    document.getElementById('export-frame').addEventListener('click', saveFramePNG);
+    document.getElementById('inspector-save').addEventListener('click', saveTilePNG);
+
+    updateExportButtons();
+}
@@ -0,0 +1,165 @@
+// Gallery: the mean image and each principal component as a tile, paged
+// across the grid, plus the variance spectrum computed from stds. While it is
+// open the worker draws the page on the main grid instead of the walk, which
+// needs worker rendering (the shader can only show mu + z @ eigvecs).
+let spectrum = null;
+let galleryPage = 0;
+let galleryActive = false;
+// GPU rendering was switched off for the gallery and comes back when it closes
+let galleryRestoreGpu = false;
+
+// Fraction of the retained variance kept by the first n components
+function varianceKept(n) {
+    let kept = 0;
+    let total = 0;
+    for (let j = 0; j < spectrum.length; j++) {
+        const variance = spectrum[j] * spectrum[j];
+        total += variance;
+        if (j < n) kept += variance;
+    }
+    return total > 0 ? kept / total : 0;
+}
+
+// A new dataset: the worker starts its gallery over at page 0 as well
+function setSpectrum(stds) {
+    spectrum = stds;
+    updateVarianceLabel();
+    galleryPage = 0;
+    updateGalleryCaptions();
+}
+
+// Show next to the num_pc slider how much variance the setting keeps
+function updateVarianceLabel() {
+    const label = document.getElementById('num_pc-variance');
+    if (!spectrum) {
+        label.textContent = '';
+        return;
+    }
+    label.textContent = `${(varianceKept(pcaParams.num_pc) * 100).toFixed(1)}%`;
+    drawScreeChart();
+}
+
+// Per-component explained variance as bars, cumulative as a line, num_pc marked
+function drawScreeChart() {
+    const canvas = document.getElementById('scree-chart');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!spectrum) return;
+
+    const count = spectrum.length;
+    const ratios = Array.from(spectrum, s => s * s);
+    const total = ratios.reduce((a, b) => a + b, 0);
+    const maxRatio = Math.max(...ratios);
+    const barW = canvas.width / count;
+    const h = canvas.height;
+
+    ctx.fillStyle = '#777';
+    ratios.forEach((r, j) => {
+        const barH = r / maxRatio * h;
+        ctx.fillRect(j * barW, h - barH, Math.max(1, barW - 1), barH);
+    });
+
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.beginPath();
+    let cumulative = 0;
+    ratios.forEach((r, j) => {
+        cumulative += r / total;
+        const x = (j + 1) * barW;
+        const y = h - cumulative * h;
+        if (j === 0) ctx.moveTo(0, y);
+        ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    const markerX = Math.min(pcaParams.num_pc, count) * barW;
+    ctx.fillStyle = '#e0a030';
+    ctx.fillRect(markerX - 1, 0, 2, h);
+
+    document.getElementById('scree-summary').textContent =
+        `${pcaParams.num_pc} of ${count} components keep ${(varianceKept(pcaParams.num_pc) * 100).toFixed(1)}% of the variance in the basis`;
+}
+
+function galleryPageCount() {
+    return Math.max(1, Math.ceil((NUM_PCS + 1) / (HG * WG)));
+}
+
+function galleryCaption(index) {
+    if (index === 0) return 'mean';
+    if (!spectrum) return `PC ${index}`;
+    const share = spectrum[index - 1] * spectrum[index - 1] / spectrum.reduce((a, s) => a + s * s, 0);
+    return `PC ${index} ${(share * 100).toFixed(1)}%`;
+}
+
+// Label the tiles of the page on screen, placed like the inspector's highlight
+function updateGalleryCaptions() {
+    const captions = document.getElementById('gallery-captions');
+    captions.innerHTML = '';
+    if (!galleryActive) return;
+
+    galleryPage = Math.min(galleryPage, galleryPageCount() - 1);
+    document.getElementById('gallery-page').textContent = `Page ${galleryPage + 1}/${galleryPageCount()}`;
+
+    const canvas = document.getElementById('canvas');
+    const tileW = canvas.clientWidth / WG;
+    const tileH = canvas.clientHeight / HG;
+    const start = galleryPage * HG * WG;
+    const end = Math.min(start + HG * WG, NUM_PCS + 1);
+    for (let index = start; index < end; index++) {
+        const label = document.createElement('span');
+        label.className = 'gallery-caption';
+        label.textContent = galleryCaption(index);
+        label.style.left = (canvas.offsetLeft + canvas.clientLeft + ((index - start) % WG) * tileW) + 'px';
+        label.style.top = (canvas.offsetTop + canvas.clientTop + Math.floor((index - start) / WG) * tileH) + 'px';
+        captions.appendChild(label);
+    }
+}
+
+// Show the current page on the grid, or the walk again when the gallery is closed
+function showGalleryPage() {
+    resetDisplay();
+    epoch++;
+    isReady = false;
+
+    worker.postMessage({ type: 'set_gallery', page: galleryActive ? galleryPage : null, epoch });
+    updateGalleryCaptions();
+}
+
+function setGalleryActive(active) {
+    if (active === galleryActive) return;
+
+    if (active && renderMode === 'gpu') {
+        setRenderMode('worker');
+        if (renderMode === 'gpu') return;
+        galleryRestoreGpu = true;
+    }
+
+    galleryActive = active;
+    document.getElementById('gallery-panel').classList.toggle('open', active);
+    if (active) {
+        closeInspector();
+        drawScreeChart();
+    }
+    showGalleryPage();
+
+    if (!active && galleryRestoreGpu) {
+        galleryRestoreGpu = false;
+        setRenderMode('gpu');
+    }
+}
+
+function initGallery() {
+    document.getElementById('gallery-btn').addEventListener('click', () => {
+        setGalleryActive(!galleryActive);
+    });
+    document.getElementById('gallery-close').addEventListener('click', () => {
+        setGalleryActive(false);
+    });
+    document.getElementById('gallery-prev').addEventListener('click', () => {
+        galleryPage = (galleryPage - 1 + galleryPageCount()) % galleryPageCount();
+        showGalleryPage();
+    });
+    document.getElementById('gallery-next').addEventListener('click', () => {
+        galleryPage = (galleryPage + 1) % galleryPageCount();
+        showGalleryPage();
+    });
+}
@@ -0,0 +1,232 @@
+// Animated GIF encoder. Frames arrive one at a time as RGBA and are encoded
+// immediately (median-cut palette per frame + LZW), so memory stays bounded.
+//
+// Messages in:  { type: 'start', width, height, delayCs }
+//               { type: 'frame', data: ArrayBuffer (RGBA) }
+//               { type: 'finish' }
+// Messages out: { type: 'done', data: ArrayBuffer }  |  { type: 'error', data: message }
+
+let width = 0;
+let height = 0;
+let delayCs = 4;
+let chunks = [];
+
+function bytesOf(...values) {
+    return Uint8Array.from(values);
+}
+
+function u16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+}
+
+function writeHeader() {
+    chunks.push(new TextEncoder().encode('GIF89a'));
+    // Logical screen descriptor, no global color table
+    chunks.push(bytesOf(...u16(width), ...u16(height), 0x00, 0, 0));
+    // NETSCAPE2.0 extension: loop forever
+    chunks.push(bytesOf(0x21, 0xff, 0x0b));
+    chunks.push(new TextEncoder().encode('NETSCAPE2.0'));
+    chunks.push(bytesOf(0x03, 0x01, 0x00, 0x00, 0x00));
+}
+
+// Median cut over a 5-bit-per-channel histogram. Returns the 256-entry
+// palette and a lookup from 15-bit color key to palette index.
+function buildPalette(rgba) {
+    const hist = new Uint32Array(32768);
+    for (let i = 0; i < rgba.length; i += 4) {
+        hist[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)]++;
+    }
+
+    const keys = [];
+    for (let key = 0; key < hist.length; key++) {
+        if (hist[key] > 0) keys.push(key);
+    }
+
+    const channel = (key, c) => (key >> (10 - 5 * c)) & 31;
+    const boxes = [keys];
+
+    while (boxes.length < 256) {
+        // Split the box with the widest channel range
+        let best = -1;
+        let bestRange = 0;
+        let bestChannel = 0;
+        boxes.forEach((box, b) => {
+            if (box.length < 2) return;
+            for (let c = 0; c < 3; c++) {
+                let lo = 31;
+                let hi = 0;
+                for (const key of box) {
+                    const v = channel(key, c);
+                    if (v < lo) lo = v;
+                    if (v > hi) hi = v;
+                }
+                if (hi - lo > bestRange) {
+                    bestRange = hi - lo;
+                    best = b;
+                    bestChannel = c;
+                }
+            }
+        });
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+        let total = 0;
+        for (const key of box) total += hist[key];
+
+        // Split at the pixel-weighted median, keeping both halves non-empty
+        let acc = 0;
+        let split = 1;
+        for (let i = 0; i < box.length - 1; i++) {
+            acc += hist[box[i]];
+            if (acc >= total / 2) {
+                split = i + 1;
+                break;
+            }
+        }
+        boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    const palette = new Uint8Array(256 * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        let r = 0, g = 0, b = 0, n = 0;
+        for (const key of box) {
+            const count = hist[key];
+            r += channel(key, 0) * count;
+            g += channel(key, 1) * count;
+            b += channel(key, 2) * count;
+            n += count;
+            lookup[key] = index;
+        }
+        // Back from 5-bit bins to 8-bit, centered in the bin
+        palette[index * 3] = Math.min(255, Math.round(r / n) * 8 + 4);
+        palette[index * 3 + 1] = Math.min(255, Math.round(g / n) * 8 + 4);
+        palette[index * 3 + 2] = Math.min(255, Math.round(b / n) * 8 + 4);
+    });
+
+    return { palette, lookup };
+}
+
+// GIF LZW with variable code size, packed into 255-byte sub-blocks
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const out = [];
+    let block = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    }
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = eoiCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(eoiCode);
+
+    if (bitCount > 0) {
+        block.push(bits & 0xff);
+    }
+    if (block.length > 0) {
+        out.push(block.length, ...block);
+    }
+    out.push(0);
+    return Uint8Array.from(out);
+}
+
+function writeFrame(rgba) {
+    const { palette, lookup } = buildPalette(rgba);
+
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+        const o = i * 4;
+        indices[i] = lookup[((rgba[o] >> 3) << 10) | ((rgba[o + 1] >> 3) << 5) | (rgba[o + 2] >> 3)];
+    }
+
+    // Graphic control extension: dispose to none, frame delay
+    chunks.push(bytesOf(0x21, 0xf9, 0x04, 0x04, ...u16(delayCs), 0x00, 0x00));
+    // Image descriptor with a 256-entry local color table
+    chunks.push(bytesOf(0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x87));
+    chunks.push(palette);
+    chunks.push(bytesOf(8));
+    chunks.push(lzwEncode(indices, 8));
+}
+
+function finish() {
+    chunks.push(bytesOf(0x3b));
+
+    let total = 0;
+    for (const chunk of chunks) total += chunk.length;
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    chunks = [];
+    return out.buffer;
+}
+
+self.onmessage = function(e) {
+    const { type } = e.data;
+
+    try {
+        switch (type) {
+            case 'start':
+                width = e.data.width;
+                height = e.data.height;
+                delayCs = e.data.delayCs;
+                chunks = [];
+                writeHeader();
+                break;
+
+            case 'frame':
+                writeFrame(new Uint8Array(e.data.data));
+                break;
+
+            case 'finish': {
+                const data = finish();
+                self.postMessage({ type: 'done', data }, [data]);
+                break;
+            }
+        }
+    } catch (err) {
+        console.error('GIF encoder error:', err);
+        self.postMessage({ type: 'error', data: err.message });
+    }
+};
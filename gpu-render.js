@@ -0,0 +1,85 @@
+// GPU reconstruction: the basis lives in textures on the display context and
+// the reconstruction shader (renderer.js) evaluates mu + z @ eigvecs per pixel,
+// so the worker only sends the latent matrix for each frame instead of a full
+// RGBA image. 'worker' mode keeps the old path (worker renders pixels, PBO upload).
+let renderMode = 'gpu';
+
+// Whether the display can hold a basis of numPcs components. An offscreen
+// display checks in the worker and reports back with a render_mode message.
+function gpuCanRender(numPcs) {
+    if (offscreen) return true;
+    const display = ensureRenderer();
+    return !!display && display.canReconstruct(numPcs);
+}
+
+// 'basis' from the worker: mu and the component count, before any rows
+function setGpuBasis(message) {
+    // Sent before a switch to worker rendering reached the worker
+    if (renderMode !== 'gpu' || !renderer) return;
+
+    console.log(`GPU basis: ${message.NUM_PCS} components, ${message.WP}x${message.HP}`);
+    renderer.setBasis({
+        mu: message.mu,
+        numPcs: message.NUM_PCS,
+        height: message.HP,
+        width: message.WP,
+        valueRange: message.valueRange
+    });
+}
+
+// 'basis_rows' from the worker: components [start, rows) as they stream in
+function addGpuBasisRows(message) {
+    if (renderMode !== 'gpu' || !renderer) return;
+    renderer.addBasisRows(message.data, message.start, message.rows);
+}
+
+// Switch between GPU reconstruction and worker-rendered images, keeping the
+// dataset, grid and latents
+function setRenderMode(mode) {
+    if (mode === renderMode) return;
+    if (mode === 'gpu' && !gpuCanRender(NUM_PCS)) {
+        alert('GPU rendering is not supported for this dataset in this browser');
+        document.getElementById('render-select').value = renderMode;
+        return;
+    }
+    if (mode === 'gpu' && galleryActive) {
+        alert('The gallery is rendered by the worker; close it first');
+        document.getElementById('render-select').value = renderMode;
+        return;
+    }
+    if (mode === 'gpu' && hasMixedGrid()) {
+        alert('Grids mixing datasets are rendered by the worker; remove the dataset overrides first');
+        document.getElementById('render-select').value = renderMode;
+        return;
+    }
+
+    console.log(`Render mode: ${mode}`);
+    renderMode = mode;
+    document.getElementById('render-select').value = mode;
+
+    resetDisplay();
+    epoch++;
+    isReady = false;
+
+    // The worker resends the basis when GPU mode comes back
+    if (renderer) renderer.clearBasis();
+    configureDisplay();
+    worker.postMessage({ type: 'set_render_mode', mode, epoch });
+}
+
+// A dataset the GPU path cannot hold: drop to worker rendering within the
+// current epoch, before the worker has sent anything for it
+function fallBackToWorkerRendering() {
+    renderMode = 'worker';
+    document.getElementById('render-select').value = renderMode;
+    worker.postMessage({ type: 'set_render_mode', mode: renderMode, epoch });
+}
+
+function initRenderModeSelect() {
+    const select = document.getElementById('render-select');
+    if (!ensureRenderer()) {
+        renderMode = 'worker';
+    }
+    select.value = renderMode;
+    select.addEventListener('change', () => setRenderMode(select.value));
+}
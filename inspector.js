@@ -0,0 +1,172 @@
+// Tile inspector: click a tile to freeze its latent row and edit its top
+// principal components, with a live reconstruction of just that tile.
+const INSPECTOR_PCS = 16;
+// Slider range in standard deviations of each component
+const INSPECTOR_RANGE = 3;
+
+let inspectedTile = null;
+let inspectorZ = null;
+let inspectorStds = null;
+let inspectorRendering = false;
+let inspectorDirty = false;
+
+// Map a click on the (CSS-scaled) canvas to a grid tile. Listeners sit on the
+// container because the canvas element is replaced when the display moves.
+function tileAtEvent(e) {
+    const canvas = document.getElementById('canvas');
+    if (e.target !== canvas) return null;
+    const rect = canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left - canvas.clientLeft;
+    const y = e.clientY - rect.top - canvas.clientTop;
+
+    const col = Math.floor(x / (canvas.clientWidth / WG));
+    const row = Math.floor(y / (canvas.clientHeight / HG));
+    if (row < 0 || row >= HG || col < 0 || col >= WG) return null;
+
+    return { row, col, tile: row * WG + col };
+}
+
+// Outline the inspected tile on top of the canvas
+function updateTileHighlight() {
+    const highlight = document.getElementById('tile-highlight');
+    if (inspectedTile === null) {
+        highlight.style.display = 'none';
+        return;
+    }
+
+    const canvas = document.getElementById('canvas');
+    const tileW = canvas.clientWidth / WG;
+    const tileH = canvas.clientHeight / HG;
+    const row = Math.floor(inspectedTile / WG);
+    const col = inspectedTile % WG;
+
+    highlight.style.display = 'block';
+    highlight.style.left = (canvas.offsetLeft + canvas.clientLeft + col * tileW) + 'px';
+    highlight.style.top = (canvas.offsetTop + canvas.clientTop + row * tileH) + 'px';
+    highlight.style.width = tileW + 'px';
+    highlight.style.height = tileH + 'px';
+}
+
+async function openInspector(tileInfo) {
+    if (inspectedTile !== null) {
+        worker.postMessage({ type: 'freeze_tile', tile: inspectedTile, frozen: false });
+    }
+
+    inspectedTile = tileInfo.tile;
+    worker.postMessage({ type: 'freeze_tile', tile: inspectedTile, frozen: true });
+
+    document.getElementById('inspector-title').textContent = `Tile ${tileInfo.row},${tileInfo.col}`;
+    document.getElementById('inspector-panel').classList.add('open');
+    updateTileHighlight();
+
+    await refreshInspector();
+}
+
+// Unfreeze the tile and hide the panel
+function closeInspector() {
+    if (inspectedTile !== null && worker) {
+        worker.postMessage({ type: 'freeze_tile', tile: inspectedTile, frozen: false });
+    }
+    inspectedTile = null;
+    document.getElementById('inspector-panel').classList.remove('open');
+    updateTileHighlight();
+}
+
+// Re-read the tile's latent from the worker, e.g. after a reseed
+async function refreshInspector() {
+    if (inspectedTile === null) return;
+
+    try {
+        const reply = await requestFromWorker({ type: 'get_tile', tile: inspectedTile });
+        inspectorZ = reply.z;
+        inspectorStds = reply.stds;
+        buildInspectorSliders();
+        renderInspectorTile();
+    } catch (err) {
+        console.error('Inspector error:', err);
+        closeInspector();
+    }
+}
+
+function buildInspectorSliders() {
+    const container = document.getElementById('inspector-sliders');
+    container.innerHTML = '';
+
+    const count = Math.min(INSPECTOR_PCS, inspectorZ.length);
+    for (let j = 0; j < count; j++) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const label = document.createElement('label');
+        const text = document.createElement('span');
+        text.className = 'label-text';
+        text.textContent = `PC ${j + 1}`;
+        const value = document.createElement('span');
+        value.className = 'value';
+        label.appendChild(text);
+        label.appendChild(value);
+
+        // Slider units are hundredths of a standard deviation
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = -INSPECTOR_RANGE * 100;
+        slider.max = INSPECTOR_RANGE * 100;
+        slider.step = 1;
+        slider.value = Math.round(inspectorZ[j] / inspectorStds[j] * 100);
+        value.textContent = (slider.value / 100).toFixed(2) + 'σ';
+
+        slider.addEventListener('input', () => {
+            inspectorZ[j] = (slider.value / 100) * inspectorStds[j];
+            value.textContent = (slider.value / 100).toFixed(2) + 'σ';
+            worker.postMessage({ type: 'set_tile_latent', tile: inspectedTile, z: inspectorZ });
+            renderInspectorTile();
+        });
+
+        group.appendChild(label);
+        group.appendChild(slider);
+        container.appendChild(group);
+    }
+}
+
+// Render the tile; slider drags arriving mid-render coalesce into one more render
+async function renderInspectorTile() {
+    if (inspectorRendering) {
+        inspectorDirty = true;
+        return;
+    }
+
+    inspectorRendering = true;
+    try {
+        do {
+            inspectorDirty = false;
+            const reply = await requestFromWorker({ type: 'render_tile', tile: inspectedTile });
+            if (inspectedTile === null) break;
+
+            const canvas = document.getElementById('inspector-canvas');
+            canvas.width = reply.width;
+            canvas.height = reply.height;
+            const image = new ImageData(new Uint8ClampedArray(reply.data), reply.width, reply.height);
+            canvas.getContext('2d').putImageData(image, 0, 0);
+        } while (inspectorDirty && inspectedTile !== null);
+    } catch (err) {
+        console.error('Inspector render error:', err);
+        if (inspectedTile !== null) {
+            document.getElementById('inspector-title').textContent =
+                `Tile ${Math.floor(inspectedTile / WG)},${inspectedTile % WG}: ${err.message}`;
+        }
+    } finally {
+        inspectorRendering = false;
+    }
+}
+
+function initInspector() {
+    document.getElementById('canvas-container').addEventListener('click', (e) => {
+        // Shift-click pins a keyframe instead (interpolation.js); gallery tiles are not walk tiles
+        if (e.shiftKey || galleryActive) return;
+        const tileInfo = tileAtEvent(e);
+        if (tileInfo && isReady) {
+            openInspector(tileInfo);
+        }
+    });
+    document.getElementById('inspector-close').addEventListener('click', closeInspector);
+}
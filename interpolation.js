@@ -0,0 +1,127 @@
+// Interpolation mode: pin tiles' latents as keyframes and let the worker move
+// along a lerp/slerp path between them instead of running the random walk.
+let interpolation = {
+    mode: 'walk',
+    method: 'slerp',
+    layout: 'time',
+    segmentFrames: 20
+};
+let keyframes = [];
+
+function sendInterpolation() {
+    if (!worker) return;
+    worker.postMessage({
+        type: 'set_interpolation',
+        mode: interpolation.mode,
+        method: interpolation.method,
+        layout: interpolation.layout,
+        segmentFrames: interpolation.segmentFrames,
+        keyframes: keyframes.map(kf => kf.z)
+    });
+}
+
+async function pinKeyframe(tileInfo) {
+    try {
+        const reply = await requestFromWorker({ type: 'get_tile', tile: tileInfo.tile });
+        keyframes.push({ z: reply.z, label: `${currentDataset} ${tileInfo.row},${tileInfo.col}` });
+        console.log(`Pinned keyframe ${keyframes.length} from tile ${tileInfo.row},${tileInfo.col}`);
+        updateKeyframeList();
+        sendInterpolation();
+    } catch (err) {
+        console.error('Pin error:', err);
+    }
+}
+
+// Keyframes belong to one dataset's basis; drop them when it changes
+function clearKeyframes() {
+    keyframes = [];
+    updateKeyframeList();
+    sendInterpolation();
+}
+
+function updateKeyframeList() {
+    const list = document.getElementById('keyframe-list');
+    list.innerHTML = '';
+
+    if (keyframes.length === 0) {
+        list.textContent = 'Shift-click tiles (or use Pin in the inspector) to add keyframes.';
+    }
+
+    keyframes.forEach((kf, i) => {
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${i + 1}. ${kf.label}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'tool-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            keyframes.splice(i, 1);
+            updateKeyframeList();
+            sendInterpolation();
+        });
+
+        row.appendChild(label);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+
+    const needed = interpolation.mode === 'interpolate' && keyframes.length < 2;
+    document.getElementById('keyframe-hint').style.display = needed ? 'block' : 'none';
+}
+
+function initInterpolation() {
+    const modeSelect = document.getElementById('mode-select');
+    modeSelect.addEventListener('change', () => {
+        interpolation.mode = modeSelect.value;
+        if (interpolation.mode === 'interpolate') {
+            document.getElementById('keyframes-panel').classList.add('open');
+        }
+        updateKeyframeList();
+        sendInterpolation();
+    });
+
+    document.getElementById('keyframes-btn').addEventListener('click', () => {
+        document.getElementById('keyframes-panel').classList.toggle('open');
+    });
+
+    const methodSelect = document.getElementById('interp-method');
+    methodSelect.addEventListener('change', () => {
+        interpolation.method = methodSelect.value;
+        sendInterpolation();
+    });
+
+    const layoutSelect = document.getElementById('interp-layout');
+    layoutSelect.addEventListener('change', () => {
+        interpolation.layout = layoutSelect.value;
+        sendInterpolation();
+    });
+
+    const framesSlider = document.getElementById('interp-frames-slider');
+    const framesValue = document.getElementById('interp-frames-value');
+    framesSlider.addEventListener('input', () => {
+        interpolation.segmentFrames = parseInt(framesSlider.value);
+        framesValue.textContent = interpolation.segmentFrames;
+        sendInterpolation();
+    });
+
+    document.getElementById('keyframe-clear').addEventListener('click', clearKeyframes);
+    document.getElementById('inspector-pin').addEventListener('click', () => {
+        if (inspectedTile !== null) {
+            pinKeyframe({ tile: inspectedTile, row: Math.floor(inspectedTile / WG), col: inspectedTile % WG });
+        }
+    });
+
+    // Shift-click pins a tile without opening the inspector
+    document.getElementById('canvas-container').addEventListener('click', (e) => {
+        if (!e.shiftKey || !isReady || galleryActive) return;
+        const tileInfo = tileAtEvent(e);
+        if (tileInfo) {
+            pinKeyframe(tileInfo);
+        }
+    });
+
+    updateKeyframeList();
+}
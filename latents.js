@@ -0,0 +1,183 @@
+// Latent snapshots: download the displayed z matrix and import it back later.
+//
+// JSON:   { format: 'pca-latents', version, dataset, num_pcs, grid: [HG, WG],
+//           seed, frame, z: [[...NUM_PCS], ...HG*WG rows] }
+// Binary: 'PCAZ', then little-endian uint32 version, HG, WG, NUM_PCS, seed, frame,
+//         dataset id byte length, the UTF-8 id padded to 4 bytes,
+//         then float32 z [HG*WG, NUM_PCS].
+const LATENTS_FORMAT = 'pca-latents';
+const LATENTS_VERSION = 1;
+const LATENTS_MAGIC = 'PCAZ';
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function encodeLatentsJSON(snapshot) {
+    const rows = [];
+    for (let i = 0; i < snapshot.HG * snapshot.WG; i++) {
+        rows.push(Array.from(snapshot.z.subarray(i * snapshot.NUM_PCS, (i + 1) * snapshot.NUM_PCS)));
+    }
+
+    return JSON.stringify({
+        format: LATENTS_FORMAT,
+        version: LATENTS_VERSION,
+        dataset: snapshot.dataset,
+        num_pcs: snapshot.NUM_PCS,
+        grid: [snapshot.HG, snapshot.WG],
+        seed: snapshot.seed,
+        frame: snapshot.frame,
+        z: rows
+    });
+}
+
+function encodeLatentsBinary(snapshot) {
+    const id = new TextEncoder().encode(snapshot.dataset);
+    const idPadded = Math.ceil(id.length / 4) * 4;
+    const headerBytes = 4 + 7 * 4 + idPadded;
+    const buffer = new ArrayBuffer(headerBytes + snapshot.z.length * 4);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 4; i++) {
+        view.setUint8(i, LATENTS_MAGIC.charCodeAt(i));
+    }
+    const fields = [LATENTS_VERSION, snapshot.HG, snapshot.WG, snapshot.NUM_PCS, snapshot.seed, snapshot.frame, id.length];
+    fields.forEach((value, i) => view.setUint32(4 + i * 4, value, true));
+    new Uint8Array(buffer, 4 + 7 * 4, id.length).set(id);
+
+    for (let i = 0; i < snapshot.z.length; i++) {
+        view.setFloat32(headerBytes + i * 4, snapshot.z[i], true);
+    }
+
+    return buffer;
+}
+
+// An empty grid would pass the size checks and wipe every tile's latents
+function checkLatentsShape(HG, WG, NUM_PCS) {
+    const positive = (n) => Number.isInteger(n) && n > 0;
+    if (!positive(HG) || !positive(WG) || !positive(NUM_PCS)) {
+        throw new Error(`Latents grid ${HG}x${WG} with ${NUM_PCS} components is not a valid shape`);
+    }
+}
+
+// Parse either format into { dataset, NUM_PCS, HG, WG, seed, frame, z }
+function decodeLatents(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+    if (magic === LATENTS_MAGIC) {
+        if (buffer.byteLength < 4 + 7 * 4) {
+            throw new Error(`Latents file is ${buffer.byteLength} bytes, too short for a PCAZ header`);
+        }
+        const view = new DataView(buffer);
+        const [version, HG, WG, NUM_PCS, seed, frame, idLength] =
+            [0, 1, 2, 3, 4, 5, 6].map(i => view.getUint32(4 + i * 4, true));
+        if (version !== LATENTS_VERSION) {
+            throw new Error(`Unsupported latents file version ${version}`);
+        }
+        checkLatentsShape(HG, WG, NUM_PCS);
+
+        const headerBytes = 4 + 7 * 4 + Math.ceil(idLength / 4) * 4;
+        const count = HG * WG * NUM_PCS;
+        if (buffer.byteLength !== headerBytes + count * 4) {
+            throw new Error(`Latents file is ${buffer.byteLength} bytes, expected ${headerBytes + count * 4} for a ${HG}x${WG}x${NUM_PCS} z`);
+        }
+
+        const dataset = new TextDecoder().decode(bytes.subarray(4 + 7 * 4, 4 + 7 * 4 + idLength));
+        const z = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            z[i] = view.getFloat32(headerBytes + i * 4, true);
+        }
+        if (!z.every(Number.isFinite)) {
+            throw new Error('Latents file has values that are not finite numbers');
+        }
+        return { dataset, NUM_PCS, HG, WG, seed, frame, z };
+    }
+
+    let json;
+    try {
+        json = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+        throw new Error('Not a latents file (neither PCAZ binary nor JSON)');
+    }
+    if (json.format !== LATENTS_FORMAT || json.version !== LATENTS_VERSION) {
+        throw new Error(`Unsupported latents JSON (format ${json.format}, version ${json.version})`);
+    }
+
+    const [HG, WG] = Array.isArray(json.grid) ? json.grid : [];
+    const NUM_PCS = json.num_pcs;
+    checkLatentsShape(HG, WG, NUM_PCS);
+    if (!Array.isArray(json.z) || json.z.length !== HG * WG ||
+        json.z.some(row => !Array.isArray(row) || row.length !== NUM_PCS || !row.every(Number.isFinite))) {
+        throw new Error(`Latents JSON z must be ${HG * WG} rows of ${NUM_PCS} finite numbers`);
+    }
+
+    const z = new Float32Array(HG * WG * NUM_PCS);
+    json.z.forEach((row, i) => z.set(row, i * NUM_PCS));
+    return { dataset: json.dataset, NUM_PCS, HG, WG, seed: json.seed, frame: json.frame, z };
+}
+
+function setLatentsStatus(text) {
+    document.getElementById('latents-status').textContent = text;
+}
+
+async function saveLatents(format) {
+    try {
+        const snapshot = await requestFromWorker({ type: 'get_latents', frame: displayedFrame() });
+        const base = `${snapshot.dataset}-${snapshot.HG}x${snapshot.WG}-seed${snapshot.seed}-frame${snapshot.frame}`;
+
+        if (format === 'json') {
+            downloadBlob(new Blob([encodeLatentsJSON(snapshot)], { type: 'application/json' }), `${base}.json`);
+        } else {
+            downloadBlob(new Blob([encodeLatentsBinary(snapshot)], { type: 'application/octet-stream' }), `${base}.pcaz`);
+        }
+        setLatentsStatus(`Saved frame ${snapshot.frame}`);
+    } catch (err) {
+        console.error('Latents export error:', err);
+        setLatentsStatus('Error: ' + err.message);
+    }
+}
+
+async function importLatents(file) {
+    try {
+        const snapshot = decodeLatents(await file.arrayBuffer());
+
+        // Only the component count has to match; another dataset with the
+        // same rank is allowed but probably not what was meant
+        if (snapshot.NUM_PCS !== NUM_PCS) {
+            throw new Error(`File has ${snapshot.NUM_PCS} components, ${currentDataset} has ${NUM_PCS}`);
+        }
+        if (snapshot.dataset !== currentDataset) {
+            console.warn(`Latents were saved from ${snapshot.dataset}, loading into ${currentDataset}`);
+        }
+
+        await setLatents(snapshot);
+        setLatentsStatus(`Loaded ${snapshot.HG}x${snapshot.WG} from ${file.name}`);
+    } catch (err) {
+        console.error('Latents import error:', err);
+        setLatentsStatus('Error: ' + err.message);
+    }
+}
+
+function initLatentsPanel() {
+    const panel = document.getElementById('latents-panel');
+    const fileInput = document.getElementById('latents-file');
+
+    document.getElementById('latents-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+    document.getElementById('latents-save-json').addEventListener('click', () => saveLatents('json'));
+    document.getElementById('latents-save-bin').addEventListener('click', () => saveLatents('binary'));
+    document.getElementById('latents-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            importLatents(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+}
@@ -0,0 +1,145 @@
+// Display layout: how many tiles the grid has (fitted to the window or fixed)
+// and how they are scaled onto the screen. app.js sizes the grid and the
+// canvas from these settings; the Display panel edits them.
+
+// Largest grid per dimension the panel accepts
+const MAX_GRID = 32;
+// The canvas border (1px each side) has to fit in the container as well
+const CANVAS_FRAME = 2;
+// The worker's display context cannot be queried from the page; every
+// WebGL 2 implementation in practice allows textures this large
+const OFFSCREEN_MAX_TEXTURE = 4096;
+
+// grid:  'auto' fits as many tiles as the window holds, 'fixed' uses rows x cols
+// scale: 'fit' shrinks the grid to fit but never enlarges it, 'integer' enlarges
+//        by whole factors (sharp pixels), 'smooth' by any factor with filtering,
+//        or a fixed factor '1'..'4'
+// fill:  cover the whole display area and crop the tiles at its edges
+let layout = { grid: 'auto', rows: 4, cols: 6, scale: 'fit', fill: false };
+
+const LAYOUT_SCALES = ['fit', 'integer', 'smooth', '1', '2', '3', '4'];
+
+// Space the canvas may take up on the page
+function availableArea() {
+    const container = document.getElementById('canvas-container');
+    const frame = layout.fill ? 0 : CANVAS_FRAME;
+    return {
+        width: Math.max(1, container.clientWidth - frame),
+        height: Math.max(1, container.clientHeight - frame)
+    };
+}
+
+// Fixed display scale of a tile, or null when the scale follows the window
+function fixedTileScale() {
+    const factor = Number(layout.scale);
+    return Number.isFinite(factor) && factor > 0 ? factor : null;
+}
+
+// Keep a grid within MAX_GRID and within the display textures (one texel per tile pixel)
+function clampGrid(hg, wg) {
+    const maxTexture = renderer ? renderer.maxTextureSize : OFFSCREEN_MAX_TEXTURE;
+    const clamp = (value, tileSize) => Math.max(1, Math.min(Math.round(value) || 1, MAX_GRID, Math.floor(maxTexture / tileSize)));
+    return { HG: clamp(hg, HP), WG: clamp(wg, WP) };
+}
+
+// Re-fit the grid and canvas after a settings change or a resize
+function applyLayout() {
+    const grid = calculateGridSize();
+    if (grid.HG !== HG || grid.WG !== WG) {
+        console.log(`Grid size changed: ${HG}x${WG} → ${grid.HG}x${grid.WG}`);
+        setGrid(grid.HG, grid.WG);
+    } else {
+        resizeCanvas();
+        updateTileHighlight();
+        updateGalleryCaptions();
+    }
+    updateLayoutStatus();
+}
+
+function updateLayoutStatus() {
+    const size = calculateCanvasSize(HG, WG);
+    document.getElementById('layout-status').textContent =
+        `Grid ${HG}x${WG}, ${WP}x${HP} tiles shown at ${(size.width / (WG * WP)).toFixed(2)}x`;
+}
+
+// Layout settings from a state hash; `grid` is the grid the hash names, if any
+function readLayoutFromHash(hash, grid) {
+    if (hash.get('gridmode') === 'auto' || hash.get('gridmode') === 'fixed') {
+        layout.grid = hash.get('gridmode');
+    }
+    if (LAYOUT_SCALES.includes(hash.get('scale'))) {
+        layout.scale = hash.get('scale');
+    }
+    if (hash.has('fill')) {
+        layout.fill = hash.get('fill') === '1';
+    }
+    if (grid) {
+        layout.rows = Math.min(grid.HG, MAX_GRID);
+        layout.cols = Math.min(grid.WG, MAX_GRID);
+    }
+}
+
+// The hash entries readLayoutFromHash() understands
+function layoutHashParams() {
+    return { gridmode: layout.grid, scale: layout.scale, fill: layout.fill ? 1 : 0 };
+}
+
+function initLayoutPanel() {
+    const panel = document.getElementById('layout-panel');
+    const gridSelect = document.getElementById('layout-grid');
+    const rowsInput = document.getElementById('layout-rows');
+    const colsInput = document.getElementById('layout-cols');
+    const scaleSelect = document.getElementById('layout-scale');
+    const fillCheckbox = document.getElementById('layout-fill');
+
+    function syncInputs() {
+        gridSelect.value = layout.grid;
+        rowsInput.value = layout.rows;
+        colsInput.value = layout.cols;
+        rowsInput.disabled = colsInput.disabled = layout.grid !== 'fixed';
+        scaleSelect.value = layout.scale;
+        fillCheckbox.checked = layout.fill;
+    }
+
+    function update() {
+        syncInputs();
+        applyLayout();
+        writeStateToHash();
+    }
+
+    document.getElementById('layout-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+        if (panel.classList.contains('open')) updateLayoutStatus();
+    });
+
+    // A fixed grid starts from the one on screen
+    gridSelect.addEventListener('change', () => {
+        layout.grid = gridSelect.value;
+        if (layout.grid === 'fixed') {
+            layout.rows = HG;
+            layout.cols = WG;
+        }
+        update();
+    });
+
+    const readDimension = (input) => Math.max(1, Math.min(MAX_GRID, parseInt(input.value) || 1));
+    rowsInput.addEventListener('change', () => {
+        layout.rows = readDimension(rowsInput);
+        update();
+    });
+    colsInput.addEventListener('change', () => {
+        layout.cols = readDimension(colsInput);
+        update();
+    });
+
+    scaleSelect.addEventListener('change', () => {
+        layout.scale = scaleSelect.value;
+        update();
+    });
+    fillCheckbox.addEventListener('change', () => {
+        layout.fill = fillCheckbox.checked;
+        update();
+    });
+
+    syncInputs();
+}
@@ -0,0 +1,103 @@
+// Offline support: service worker registration and the cached-datasets panel.
+// sw.js owns the cache names; this only relies on the shared prefix.
+const DATA_CACHE_PREFIX = 'pca-data-';
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers not supported, running online only');
+        return;
+    }
+    
+    navigator.serviceWorker.register('sw.js')
+        .then((reg) => console.log('Service worker registered:', reg.scope))
+        .catch((err) => console.error('Service worker registration failed:', err));
+}
+
+// Absolute URL of a file inside a dataset directory
+function datasetFileUrl(id, file) {
+    return new URL(PCADataset.fileUrl(datasets[id].baseUrl, file), location.href).href;
+}
+
+// Cached requests belonging to a dataset, across every data cache
+async function cachedDatasetEntries(id) {
+    const prefix = datasetFileUrl(id, '');
+    const entries = [];
+    
+    for (const name of await caches.keys()) {
+        if (!name.startsWith(DATA_CACHE_PREFIX)) continue;
+        
+        const cache = await caches.open(name);
+        for (const request of await cache.keys()) {
+            if (request.url.startsWith(prefix)) {
+                entries.push({ cache, request });
+            }
+        }
+    }
+    
+    return entries;
+}
+
+// Remove a dataset's files from the cache; the next visit re-downloads them
+async function evictDataset(id) {
+    const entries = await cachedDatasetEntries(id);
+    await Promise.all(entries.map(({ cache, request }) => cache.delete(request)));
+    console.log(`Evicted ${entries.length} cached files for dataset: ${id}`);
+    await refreshCachePanel();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return bytes + ' B';
+}
+
+// Rebuild the list of datasets with how much of each is cached
+async function refreshCachePanel() {
+    const list = document.getElementById('cache-list');
+    
+    if (!('caches' in window)) {
+        list.textContent = 'Cache Storage is not available in this browser.';
+        return;
+    }
+    
+    // Datasets built in this session live in memory, not in the cache
+    const cacheable = datasetOrder.filter((id) => !datasets[id].local);
+    const rows = await Promise.all(cacheable.map(async (id) => {
+        const entries = await cachedDatasetEntries(id);
+        const cachedUrls = new Set(entries.map(({ request }) => request.url));
+        const files = PCADataset.manifestFiles(datasets[id].manifest);
+        const present = files.filter((f) => cachedUrls.has(datasetFileUrl(id, f.file)));
+        const bytes = present.reduce((sum, f) => sum + f.bytes, 0);
+        
+        const row = document.createElement('div');
+        row.className = 'panel-row';
+        
+        const label = document.createElement('span');
+        label.textContent = `${datasets[id].manifest.display_name || id}: ` +
+            (present.length === files.length ? 'offline' : `${present.length}/${files.length} files`) +
+            ` (${formatBytes(bytes)})`;
+        
+        const evictBtn = document.createElement('button');
+        evictBtn.className = 'tool-btn';
+        evictBtn.textContent = 'Evict';
+        evictBtn.disabled = entries.length === 0;
+        evictBtn.addEventListener('click', () => evictDataset(id));
+        
+        row.appendChild(label);
+        row.appendChild(evictBtn);
+        return row;
+    }));
+    
+    list.innerHTML = '';
+    rows.forEach((row) => list.appendChild(row));
+}
+
+function initCachePanel() {
+    const panel = document.getElementById('cache-panel');
+    document.getElementById('cache-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+        if (panel.classList.contains('open')) {
+            refreshCachePanel();
+        }
+    });
+}
@@ -0,0 +1,536 @@
+// WebGL2 display for generated frames, shared by the page (app.js) and the
+// worker when it draws on a transferred OffscreenCanvas. A ring of slots is
+// crossfaded at t; in 'image' mode a slot is an RGB texture (uploaded whole or
+// row-chunked through a PBO), in 'latents' mode it is a latent matrix that the
+// reconstruction shader turns into pixels from the basis textures. How the two
+// slots are combined per pixel is the transition (transitions.js).
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./transitions.js'));
+    } else {
+        root.PCARenderer = factory(root.PCATransitions);
+    }
+})(typeof self !== 'undefined' ? self : this, function(PCATransitions) {
+
+    const vertexShaderSource = `#version 300 es
+layout (location = 0) in vec2 aPos;
+layout (location = 1) in vec2 aUV;
+out vec2 uv;
+
+void main() {
+    gl_Position = vec4(aPos, 0.0, 1.0);
+    uv = aUV;
+}
+`;
+
+    // Weight of the next frame at each pixel for the current transition.
+    // easing and style index PCATransitions.EASING_NAMES and STYLES.
+    const transitionShaderSource = `
+uniform float t;
+uniform int easing;
+uniform int style;
+uniform ivec2 tileSize;          // WP, HP
+uniform ivec2 grid;              // WG, HG
+
+const float WIPE_EDGE = 0.15;    // width of the wipe's soft edge, as a fraction of the grid
+
+float ease(float x) {
+    if (easing == 1) return x * x * (3.0 - 2.0 * x);
+    if (easing == 2) return 0.5 - 0.5 * cos(3.14159265 * x);
+    if (easing == 3) return x < 0.5 ? 4.0 * x * x * x : 1.0 - 4.0 * pow(1.0 - x, 3.0);
+    return x;
+}
+
+// Integer position onto [0, 1), stable from frame to frame
+float hash(ivec2 p) {
+    uvec2 q = uvec2(p) * uvec2(1597334673u, 3812015801u);
+    uint n = (q.x ^ q.y) * 1597334673u;
+    return float(n >> 8) / 16777216.0;
+}
+
+// Pixel with row 0 at the top, as the worker lays out the grid
+ivec2 gridPixel() {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+    pixel.y = tileSize.y * grid.y - 1 - pixel.y;
+    return pixel;
+}
+
+float transitionWeight(ivec2 pixel) {
+    float x = clamp(t, 0.0, 1.0);
+    if (style == 1) {
+        float start = hash(pixel / tileSize) * 0.5;
+        return ease(clamp((x - start) * 2.0, 0.0, 1.0));
+    }
+    if (style == 2) {
+        float pos = (float(pixel.x) + 0.5) / float(tileSize.x * grid.x);
+        return clamp((ease(x) * (1.0 + WIPE_EDGE) - pos) / WIPE_EDGE, 0.0, 1.0);
+    }
+    if (style == 3) {
+        return step(hash(pixel), ease(x));
+    }
+    return ease(x);
+}
+`;
+
+    // Transition between two image slots
+    const crossfadeShaderSource = `#version 300 es
+precision highp float;
+precision highp int;
+in vec2 uv;
+out vec4 FragColor;
+
+uniform sampler2D texA;
+uniform sampler2D texB;
+${transitionShaderSource}
+void main() {
+    vec3 colorA = texture(texA, uv).rgb;
+    vec3 colorB = texture(texB, uv).rgb;
+    vec3 result = mix(colorA, colorB, transitionWeight(gridPixel()));
+    FragColor = vec4(result, 1.0);
+}
+`;
+
+    // mu + z @ eigvecs for the tile under each pixel, with z mixed between the
+    // two frames by the transition weight (a blend in latent space)
+    const reconstructShaderSource = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2DArray;
+out vec4 FragColor;
+
+uniform sampler2DArray eigvecs;  // layer j is component j, WP x HP RGB
+uniform sampler2D mu;            // WP x HP RGB
+uniform sampler2D latents;       // R, NUM_PCS x (2*HG*WG): current frame, then next
+uniform int pcs;
+uniform vec2 valueRange;
+${transitionShaderSource}
+void main() {
+    ivec2 pixel = gridPixel();
+    ivec2 tile = pixel / tileSize;
+    ivec2 local = pixel - tile * tileSize;
+    int row = tile.y * grid.x + tile.x;
+    int count = grid.x * grid.y;
+    float w = transitionWeight(pixel);
+
+    vec3 x = texelFetch(mu, local, 0).rgb;
+    for (int j = 0; j < pcs; j++) {
+        float za = texelFetch(latents, ivec2(j, row), 0).r;
+        float zb = texelFetch(latents, ivec2(j, row + count), 0).r;
+        x += mix(za, zb, w) * texelFetch(eigvecs, ivec3(local, j), 0).rgb;
+    }
+
+    // Same mapping as the worker: value range onto 0..255, clip, truncate
+    vec3 c = clamp((x - valueRange.x) / (valueRange.y - valueRange.x) * 255.0, 0.0, 255.0);
+    FragColor = vec4(floor(c) / 255.0, 1.0);
+}
+`;
+
+    // Compile shader
+    function compileShader(gl, source, type) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('Shader compile error:', gl.getShaderInfoLog(shader));
+            gl.deleteShader(shader);
+            return null;
+        }
+
+        return shader;
+    }
+
+    // Create shader program
+    function createProgram(gl, vsSource, fsSource) {
+        const vs = compileShader(gl, vsSource, gl.VERTEX_SHADER);
+        const fs = compileShader(gl, fsSource, gl.FRAGMENT_SHADER);
+        if (!vs || !fs) return null;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Program link error:', gl.getProgramInfoLog(program));
+            return null;
+        }
+
+        return program;
+    }
+
+    // Fullscreen quad; UVs are flipped so row 0 of an uploaded image is at the top
+    function createQuad(gl) {
+        const quad = new Float32Array([
+             1.0,  1.0,  1.0, 0.0,
+             1.0, -1.0,  1.0, 1.0,
+            -1.0, -1.0,  0.0, 1.0,
+            -1.0,  1.0,  0.0, 0.0
+        ]);
+        const indices = new Uint32Array([0, 1, 3, 1, 2, 3]);
+
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        const vbo = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+        gl.bufferData(gl.ARRAY_BUFFER, quad, gl.STATIC_DRAW);
+
+        const ebo = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, ebo);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+        // Position and UV attributes
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 4 * 4, 0);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(1, 2, gl.FLOAT, false, 4 * 4, 2 * 4);
+        gl.enableVertexAttribArray(1);
+
+        gl.bindVertexArray(null);
+        return vao;
+    }
+
+    function setNearestFilter(gl, target) {
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    // Interleaved RGBA to RGB
+    function rgbaToRGB(rgba, pixels) {
+        const rgb = new Uint8Array(pixels * 3);
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = rgba[i * 4];
+            rgb[i * 3 + 1] = rgba[i * 4 + 1];
+            rgb[i * 3 + 2] = rgba[i * 4 + 2];
+        }
+        return rgb;
+    }
+
+    // Latents of frames a and b as consecutive [count, numPcs] blocks for the
+    // shader. Components a frame did not use count as zero.
+    function packLatentPair(a, b, count, numPcs, out) {
+        const size = count * numPcs;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < numPcs; j++) {
+                const idx = i * numPcs + j;
+                out[idx] = j < a.pcs ? a.z[idx] : 0;
+                out[size + idx] = j < b.pcs ? b.z[idx] : 0;
+            }
+        }
+        return out;
+    }
+
+    // Renderer on `canvas` (an HTMLCanvasElement or OffscreenCanvas), or null without WebGL2
+    function createRenderer(canvas) {
+        const gl = canvas.getContext('webgl2');
+        if (!gl) return null;
+
+        console.log('WebGL Version:', gl.getParameter(gl.VERSION));
+
+        const crossfadeProgram = createProgram(gl, vertexShaderSource, crossfadeShaderSource);
+        let reconstructProgram = null;
+        const vao = createQuad(gl);
+
+        // Current layout
+        let mode = 'image';
+        let HG = 1;
+        let WG = 1;
+        let HP = 1;
+        let WP = 1;
+        let numPcs = 0;
+
+        // Image slots and their PBOs
+        let textures = [];
+        let pbos = [];
+        let upload = null;
+
+        // Latent slots and the texture the drawn pair is packed into;
+        // latentPair names the pair it holds so it is only uploaded on change
+        let slotLatents = [];
+        let latentTex = null;
+        let latentData = null;
+        let latentPair = null;
+
+        let transition = { style: 'fade', easing: 'linear' };
+
+        // Basis textures for 'latents' mode
+        let basis = null;
+        let muTex = null;
+        let eigvecsTex = null;
+        let basisRows = 0;
+
+        function releaseSlots() {
+            textures.forEach(tex => gl.deleteTexture(tex));
+            pbos.forEach(pbo => gl.deleteBuffer(pbo));
+            textures = [];
+            pbos = [];
+            upload = null;
+            if (latentTex) gl.deleteTexture(latentTex);
+            latentTex = null;
+            latentData = null;
+            latentPair = null;
+            slotLatents = [];
+        }
+
+        // Size the canvas to the grid and create the ring for `options.mode`:
+        // { mode: 'image' | 'latents', HG, WG, HP, WP, numPcs, slots }
+        function configure(options) {
+            releaseSlots();
+            ({ mode, HG, WG, HP, WP, numPcs } = options);
+            canvas.width = WG * WP;
+            canvas.height = HG * HP;
+
+            if (mode === 'latents') {
+                if (!reconstructProgram) {
+                    reconstructProgram = createProgram(gl, vertexShaderSource, reconstructShaderSource);
+                }
+                latentTex = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, latentTex);
+                setNearestFilter(gl, gl.TEXTURE_2D);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, numPcs, 2 * HG * WG, 0, gl.RED, gl.FLOAT, null);
+                gl.bindTexture(gl.TEXTURE_2D, null);
+                latentData = new Float32Array(2 * numPcs * HG * WG);
+                return;
+            }
+
+            // Circular buffer of textures, each with a PBO for chunked uploads
+            const pboSize = canvas.width * canvas.height * 3;
+            for (let i = 0; i < options.slots; i++) {
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                setNearestFilter(gl, gl.TEXTURE_2D);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB8, canvas.width, canvas.height, 0, gl.RGB, gl.UNSIGNED_BYTE, null);
+                textures.push(texture);
+
+                const pbo = gl.createBuffer();
+                gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, pbo);
+                gl.bufferData(gl.PIXEL_UNPACK_BUFFER, pboSize, gl.STREAM_DRAW);
+                pbos.push(pbo);
+            }
+            gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+        }
+
+        // Whether a basis of `count` components fits in a texture array here
+        function canReconstruct(count) {
+            if (!reconstructProgram) {
+                reconstructProgram = createProgram(gl, vertexShaderSource, reconstructShaderSource);
+            }
+            const layers = gl.getParameter(gl.MAX_ARRAY_TEXTURE_LAYERS);
+            if (!reconstructProgram || layers < count) {
+                console.warn(`GPU rendering unavailable (${reconstructProgram ? `${layers} texture layers < ${count} components` : 'shader failed'})`);
+                return false;
+            }
+            return true;
+        }
+
+        function clearBasis() {
+            if (muTex) gl.deleteTexture(muTex);
+            if (eigvecsTex) gl.deleteTexture(eigvecsTex);
+            muTex = eigvecsTex = null;
+            basis = null;
+            basisRows = 0;
+        }
+
+        // New basis for 'latents' mode: mu as RGB32F, eigvecs as one RGB16F layer
+        // per component (half the memory, well within display precision).
+        // { mu, numPcs, height, width, valueRange }; rows follow in addBasisRows().
+        function setBasis(newBasis) {
+            clearBasis();
+            basis = newBasis;
+
+            muTex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, muTex);
+            setNearestFilter(gl, gl.TEXTURE_2D);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB32F, basis.width, basis.height, 0, gl.RGB, gl.FLOAT, basis.mu);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+
+            eigvecsTex = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D_ARRAY, eigvecsTex);
+            setNearestFilter(gl, gl.TEXTURE_2D_ARRAY);
+            gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, gl.RGB16F, basis.width, basis.height, basis.numPcs);
+            gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+        }
+
+        // Components [start, rows); `data` holds exactly those rows
+        function addBasisRows(data, start, rows) {
+            if (!eigvecsTex || rows <= start) return;
+            gl.bindTexture(gl.TEXTURE_2D_ARRAY, eigvecsTex);
+            gl.texSubImage3D(gl.TEXTURE_2D_ARRAY, 0, 0, 0, start, basis.width, basis.height, rows - start,
+                gl.RGB, gl.FLOAT, data);
+            gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+            basisRows = Math.max(basisRows, rows);
+        }
+
+        // Upload a whole RGBA frame into an image slot
+        function storeImage(slot, rgba) {
+            const rgb = rgbaToRGB(rgba, canvas.width * canvas.height);
+            gl.bindTexture(gl.TEXTURE_2D, textures[slot]);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, canvas.width, canvas.height, gl.RGB, gl.UNSIGNED_BYTE, rgb);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+        }
+
+        // Start a row-chunked upload into `slot`, spread over the next frames by continueUpload()
+        function beginUpload(slot, rgba) {
+            upload = { slot, rgb: rgbaToRGB(rgba, canvas.width * canvas.height), rowsUploaded: 0 };
+        }
+
+        // Upload enough rows that the rest fits in `framesLeft` more calls; false when done
+        function continueUpload(framesLeft) {
+            if (!upload) return false;
+
+            const { slot, rgb, rowsUploaded } = upload;
+            const rowsLeft = canvas.height - rowsUploaded;
+            const rowsToUpload = Math.min(rowsLeft, Math.floor(rowsLeft / Math.max(1, framesLeft)) + 1);
+
+            const rowBytes = canvas.width * 3;
+            const startByte = rowsUploaded * rowBytes;
+            const chunk = rgb.subarray(startByte, startByte + rowsToUpload * rowBytes);
+
+            gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, pbos[slot]);
+            gl.bufferSubData(gl.PIXEL_UNPACK_BUFFER, startByte, chunk);
+            gl.bindTexture(gl.TEXTURE_2D, textures[slot]);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, rowsUploaded, canvas.width, rowsToUpload, gl.RGB, gl.UNSIGNED_BYTE, startByte);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
+
+            upload.rowsUploaded += rowsToUpload;
+            if (upload.rowsUploaded >= canvas.height) {
+                upload = null;
+            }
+            return upload !== null;
+        }
+
+        // Finish a pending chunked upload at once
+        function flushUpload() {
+            while (continueUpload(1)) {}
+        }
+
+        function storeLatents(slot, z, pcs) {
+            slotLatents[slot] = { z, pcs };
+            latentPair = null;
+        }
+
+        // { style, easing } from PCATransitions
+        function setTransition(options) {
+            transition = { style: options.style, easing: options.easing };
+        }
+
+        // Transition uniforms for `program`. Image-mode 'latent' transitions blend
+        // between the worker's in-betweens, which are eased already.
+        function setTransitionUniforms(program, t) {
+            const uniform = (name) => gl.getUniformLocation(program, name);
+            const inbetweens = transition.style === 'latent' && mode === 'image';
+            gl.uniform1f(uniform('t'), t);
+            gl.uniform1i(uniform('easing'), inbetweens ? 0 : Math.max(0, PCATransitions.EASING_NAMES.indexOf(transition.easing)));
+            gl.uniform1i(uniform('style'), Math.max(0, PCATransitions.STYLES.indexOf(transition.style)));
+            gl.uniform2i(uniform('tileSize'), WP, HP);
+            gl.uniform2i(uniform('grid'), WG, HG);
+        }
+
+        // Draw the transition from slot `curr` to slot `next` at t in [0, 1]
+        function draw(curr, next, t) {
+            gl.viewport(0, 0, canvas.width, canvas.height);
+            gl.bindVertexArray(vao);
+
+            if (mode === 'latents') {
+                const a = slotLatents[curr];
+                const b = slotLatents[next];
+                if (!eigvecsTex || !a || !b) return;
+
+                const uniform = (name) => gl.getUniformLocation(reconstructProgram, name);
+                gl.useProgram(reconstructProgram);
+
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D_ARRAY, eigvecsTex);
+                gl.uniform1i(uniform('eigvecs'), 0);
+
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, muTex);
+                gl.uniform1i(uniform('mu'), 1);
+
+                gl.activeTexture(gl.TEXTURE2);
+                gl.bindTexture(gl.TEXTURE_2D, latentTex);
+                if (latentPair !== `${curr}:${next}`) {
+                    packLatentPair(a, b, HG * WG, numPcs, latentData);
+                    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, numPcs, 2 * HG * WG, gl.RED, gl.FLOAT, latentData);
+                    latentPair = `${curr}:${next}`;
+                }
+                gl.uniform1i(uniform('latents'), 2);
+
+                gl.uniform1i(uniform('pcs'), Math.min(Math.max(a.pcs, b.pcs), basisRows));
+                gl.uniform2f(uniform('valueRange'), basis.valueRange[0], basis.valueRange[1]);
+                setTransitionUniforms(reconstructProgram, t);
+            } else {
+                if (textures.length === 0) return;
+                gl.useProgram(crossfadeProgram);
+
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, textures[curr]);
+                gl.uniform1i(gl.getUniformLocation(crossfadeProgram, 'texA'), 0);
+
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, textures[next]);
+                gl.uniform1i(gl.getUniformLocation(crossfadeProgram, 'texB'), 1);
+
+                setTransitionUniforms(crossfadeProgram, t);
+            }
+
+            gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_INT, 0);
+            gl.bindVertexArray(null);
+            gl.activeTexture(gl.TEXTURE0);
+        }
+
+        // The drawing buffer as top-down RGBA rows; call right after draw()
+        function readPixels() {
+            const width = canvas.width;
+            const height = canvas.height;
+            const pixels = new Uint8Array(width * height * 4);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+            const flipped = new Uint8Array(pixels.length);
+            const rowBytes = width * 4;
+            for (let y = 0; y < height; y++) {
+                flipped.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+            }
+            return flipped;
+        }
+
+        function dispose() {
+            releaseSlots();
+            clearBasis();
+            gl.deleteProgram(crossfadeProgram);
+            if (reconstructProgram) gl.deleteProgram(reconstructProgram);
+        }
+
+        return {
+            gl,
+            canvas,
+            // Largest canvas (and image slot texture) per side
+            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            get mode() { return mode; },
+            get uploading() { return upload !== null; },
+            get basisRows() { return basisRows; },
+            configure,
+            setTransition,
+            canReconstruct,
+            setBasis,
+            clearBasis,
+            addBasisRows,
+            storeImage,
+            beginUpload,
+            continueUpload,
+            flushUpload,
+            storeLatents,
+            draw,
+            readPixels,
+            dispose
+        };
+    }
+
+    return {
+        createRenderer
+    };
+});
@@ -0,0 +1,70 @@
+// Seedable random numbers shared by the worker and Node tools, so a seed
+// reproduces the same latent sequence on every backend.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PCARandom = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    // mulberry32 uniforms in [0, 1) with Box-Muller normals on top
+    function createRng(seed) {
+        let state = seed >>> 0;
+        let spare = null;
+
+        function uniform() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        function normal() {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            const u = 1 - uniform(); // (0, 1], keeps log() finite
+            const v = uniform();
+            const r = Math.sqrt(-2 * Math.log(u));
+            spare = r * Math.sin(2 * Math.PI * v);
+            return r * Math.cos(2 * Math.PI * v);
+        }
+
+        // The generator's position, so a stream can be resumed from a snapshot
+        function getState() {
+            return { state, spare };
+        }
+
+        function setState(saved) {
+            state = saved.state;
+            spare = saved.spare;
+        }
+
+        return { uniform, normal, getState, setState };
+    }
+
+    // Fresh 32-bit seed for when the user has not asked for one
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Seed for a named stream derived from `seed` (FNV-1a of the label mixed in),
+    // so e.g. each dataset in a mixed grid walks independently
+    function deriveSeed(seed, label) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < label.length; i++) {
+            hash = Math.imul(hash ^ label.charCodeAt(i), 0x01000193);
+        }
+        return (seed ^ hash) >>> 0;
+    }
+
+    return {
+        createRng,
+        randomSeed,
+        deriveSeed
+    };
+});
@@ -0,0 +1,464 @@
+// Latent sampler shared by the worker and the Node tools: the seeded latent
+// walk (one of the dynamics.js processes) with its component mask, keyframe
+// interpolation, and a plain typed-array reconstruction (mu + z @ eigvecs)
+// with the grid tiling the app displays.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rng.js'), require('./dynamics.js'));
+    } else {
+        root.PCASampler = factory(root.PCARandom, root.PCADynamics);
+    }
+})(typeof self !== 'undefined' ? self : this, function(PCARandom, PCADynamics) {
+
+    // Latent state for one basis and grid. z is [HG*WG, NUM_PCS] row-major;
+    // frame counts steps since seeding, and the first generated image is frame 1.
+    // Seeking replays the walk from the seed, so it is capped. The walk state
+    // is kept every SEEK_SNAPSHOT_FRAMES frames of a replay (within
+    // SEEK_SNAPSHOT_FLOATS in total), and seeking the same sequence again,
+    // e.g. stepping back, replays from the nearest snapshot instead of frame 0.
+    const MAX_SEEK_FRAME = 100000;
+    const SEEK_SNAPSHOT_FRAMES = 250;
+    const SEEK_SNAPSHOT_FLOATS = 1 << 24;
+
+    // Copy of a dynamics state, whose fields are typed arrays or plain values
+    function cloneState(state) {
+        if (!state) return state;
+        const copy = {};
+        for (const [key, value] of Object.entries(state)) {
+            copy[key] = ArrayBuffer.isView(value) ? value.slice() : value;
+        }
+        return copy;
+    }
+
+    function createSampler() {
+        let NUM_PCS = 0;
+        let stds = null;
+        let HG = 1;
+        let WG = 1;
+        let z = null;
+        let rng = null;
+        let seed = 0;
+        let frameIndex = 0;
+
+        // Every process' parameters; each reads its own keys
+        const params = Object.assign(PCADynamics.defaultParams(), { num_pc: Infinity });
+
+        // The walk's process and its state (velocities, phases, ...), which
+        // starts over whenever z is replaced
+        let dynamics = 'ar1';
+        let dynamicsState = null;
+
+        // 'walk' runs the dynamics process; 'interpolate' moves along a path through
+        // keyframe latents, either spread across the grid or over time
+        const interpolation = { mode: 'walk', method: 'slerp', layout: 'time', segmentFrames: 20 };
+        let keyframes = [];
+
+        // Tiles held still (e.g. by the inspector); the walk skips their rows
+        const frozen = new Set();
+
+        // Walk states from earlier seeks, by ascending frame, and what they depend on
+        let seekSnapshots = [];
+        let seekKey = '';
+
+        // Parameter overrides for a grid row, column or single tile:
+        // { scope: 'row' | 'col' | 'tile', index, params: { k?, s?, num_pc?, ... } }.
+        // Tile beats row beats column beats the global params. tileParams
+        // caches the merged values per tile and is rebuilt on any change.
+        let overrides = [];
+        let tileParams = null;
+
+        const SCOPE_ORDER = ['col', 'row', 'tile'];
+
+        function mergedTileParams() {
+            if (tileParams) return tileParams;
+            const sorted = overrides.slice().sort((a, b) => SCOPE_ORDER.indexOf(a.scope) - SCOPE_ORDER.indexOf(b.scope));
+            tileParams = [];
+            for (let i = 0; i < HG * WG; i++) {
+                const row = Math.floor(i / WG);
+                const col = i % WG;
+                const merged = Object.assign({}, params);
+                for (const o of sorted) {
+                    const hit = o.scope === 'tile' ? o.index === i : o.scope === 'row' ? o.index === row : o.index === col;
+                    if (hit) Object.assign(merged, o.params);
+                }
+                tileParams.push(merged);
+            }
+            return tileParams;
+        }
+
+        // One latent row drawn from N(0, stds^2)
+        function sampleLatent(out, offset) {
+            for (let j = 0; j < NUM_PCS; j++) {
+                out[offset + j] = rng.normal() * stds[j];
+            }
+        }
+
+        // What a dynamics process sees for the frame after the current one
+        function dynamicsContext() {
+            return {
+                z,
+                stds,
+                count: HG * WG,
+                numPcs: NUM_PCS,
+                rng,
+                frame: frameIndex + 1,
+                tiles: mergedTileParams(),
+                frozen,
+                // The first keyframe is the pinned latent processes may pull towards
+                target: keyframes.length > 0 ? keyframes[0] : null
+            };
+        }
+
+        function initDynamics() {
+            dynamicsState = z ? PCADynamics.getProcess(dynamics).init(dynamicsContext()) : null;
+        }
+
+        // One walk step with each tile's own params
+        function stepLatents() {
+            PCADynamics.getProcess(dynamics).step(dynamicsContext(), dynamicsState);
+            frameIndex++;
+        }
+
+        // Interpolate between latents a and b at t in [0, 1], in stds-normalized space.
+        // slerp turns the direction on the sphere and lerps the norm.
+        function interpolatePair(a, b, t, out) {
+            let normA = 0;
+            let normB = 0;
+            let dot = 0;
+            for (let j = 0; j < NUM_PCS; j++) {
+                const ua = a[j] / stds[j];
+                const ub = b[j] / stds[j];
+                normA += ua * ua;
+                normB += ub * ub;
+                dot += ua * ub;
+            }
+            normA = Math.sqrt(normA);
+            normB = Math.sqrt(normB);
+
+            const cosOmega = dot / (normA * normB || 1);
+            const omega = Math.acos(Math.min(1, Math.max(-1, cosOmega)));
+
+            // Nearly parallel directions: slerp degenerates to lerp
+            if (interpolation.method === 'lerp' || omega < 1e-4) {
+                for (let j = 0; j < NUM_PCS; j++) {
+                    out[j] = (1 - t) * a[j] + t * b[j];
+                }
+                return;
+            }
+
+            const sinOmega = Math.sin(omega);
+            const wa = Math.sin((1 - t) * omega) / sinOmega / (normA || 1);
+            const wb = Math.sin(t * omega) / sinOmega / (normB || 1);
+            const norm = (1 - t) * normA + t * normB;
+            for (let j = 0; j < NUM_PCS; j++) {
+                const u = wa * (a[j] / stds[j]) + wb * (b[j] / stds[j]);
+                out[j] = u * norm * stds[j];
+            }
+        }
+
+        // Point at u in [0, 1) along the keyframe path; `loop` closes it back to the first keyframe
+        function pathPoint(u, loop, out) {
+            const segments = loop ? keyframes.length : keyframes.length - 1;
+            const pos = Math.min(u * segments, segments - 1e-6);
+            const seg = Math.floor(pos);
+            interpolatePair(keyframes[seg], keyframes[(seg + 1) % keyframes.length], pos - seg, out);
+        }
+
+        // Interpolation step: tiles sit along the open path across the grid,
+        // or each travels the closed loop over time with a per-tile phase offset
+        function interpolateLatents() {
+            frameIndex++;
+
+            const T = HG * WG;
+            const loopPhase = frameIndex / (interpolation.segmentFrames * keyframes.length);
+
+            for (let i = 0; i < T; i++) {
+                if (frozen.has(i)) continue;
+
+                const row = z.subarray(i * NUM_PCS, (i + 1) * NUM_PCS);
+                if (interpolation.layout === 'grid') {
+                    pathPoint(T > 1 ? i / (T - 1) : 0, false, row);
+                } else {
+                    pathPoint((loopPhase + i / T) % 1, true, row);
+                }
+            }
+        }
+
+        // Components the mask lets through for `tile`, or the most any tile uses
+        function activeComponents(tile) {
+            const perTile = mergedTileParams();
+            if (tile !== undefined) {
+                return Math.min(perTile[tile] ? perTile[tile].num_pc : params.num_pc, NUM_PCS);
+            }
+            let most = 0;
+            for (const p of perTile) most = Math.max(most, p.num_pc);
+            return Math.min(perTile.length > 0 ? most : params.num_pc, NUM_PCS);
+        }
+
+        // Zero the components past each tile's own num_pc in a copy of z, so
+        // tiles with fewer components than the grid's most show that at once
+        function truncateComponents(latents) {
+            const most = activeComponents();
+            for (let i = 0; i < HG * WG; i++) {
+                const numPc = activeComponents(i);
+                if (numPc < most) latents.fill(0, i * NUM_PCS + numPc, (i + 1) * NUM_PCS);
+            }
+            return latents;
+        }
+
+        // New basis: latents, frozen tiles and keyframes all belong to the old one
+        function setBasis(newStds) {
+            stds = newStds;
+            NUM_PCS = stds ? stds.length : 0;
+            z = null;
+            dynamicsState = null;
+            frozen.clear();
+            keyframes = [];
+            seekSnapshots = [];
+        }
+
+        // Everything a replay of the walk depends on besides the basis and keyframes,
+        // which drop the snapshots when they change
+        function walkKey() {
+            return JSON.stringify([seed, dynamics, params, overrides, HG, WG, NUM_PCS, Array.from(frozen).sort()]);
+        }
+
+        // Restart the random sequence from `newSeed`, then advance to `frame`
+        // (at most MAX_SEEK_FRAME)
+        function reseed(newSeed, frame) {
+            seed = newSeed >>> 0;
+
+            // The first generated image is frame 1, so stop one step short
+            const target = Math.max(0, Math.min(Math.floor(frame) || 0, MAX_SEEK_FRAME) - 1);
+            const key = walkKey();
+            if (key !== seekKey) {
+                seekSnapshots = [];
+                seekKey = key;
+            }
+
+            let start = null;
+            for (const snapshot of seekSnapshots) {
+                if (snapshot.frame <= target) start = snapshot;
+            }
+            if (start) {
+                rng = PCARandom.createRng(seed);
+                rng.setState(start.rng);
+                z = start.z.slice();
+                dynamicsState = cloneState(start.dynamicsState);
+                frameIndex = start.frame;
+            } else {
+                rng = PCARandom.createRng(seed);
+                z = new Float32Array(HG * WG * NUM_PCS);
+                for (let i = 0; i < HG * WG; i++) {
+                    sampleLatent(z, i * NUM_PCS);
+                }
+                frameIndex = 0;
+                initDynamics();
+            }
+
+            // Long replays keep fewer, further apart snapshots
+            const maxSnapshots = Math.max(1, Math.floor(SEEK_SNAPSHOT_FLOATS / (2 * z.length || 1)));
+            const interval = Math.max(SEEK_SNAPSHOT_FRAMES, Math.ceil(target / maxSnapshots));
+            while (frameIndex < target) {
+                stepLatents();
+                const last = seekSnapshots.length > 0 ? seekSnapshots[seekSnapshots.length - 1].frame : 0;
+                if (frameIndex % interval === 0 && frameIndex > last && seekSnapshots.length < maxSnapshots) {
+                    seekSnapshots.push({ frame: frameIndex, z: z.slice(), rng: rng.getState(), dynamicsState: cloneState(dynamicsState) });
+                }
+            }
+        }
+
+        // Advance one frame in the current mode; returns the new frame number
+        function next() {
+            if (interpolation.mode === 'interpolate' && keyframes.length >= 2) {
+                interpolateLatents();
+            } else {
+                stepLatents();
+            }
+            return frameIndex;
+        }
+
+        // Change the grid, keeping the latent of every tile still on it
+        function setGrid(newHG, newWG) {
+            const oldHG = HG;
+            const oldWG = WG;
+            HG = newHG;
+            WG = newWG;
+            frozen.clear();
+            tileParams = null;
+            if (!z) return;
+
+            const data = new Float32Array(HG * WG * NUM_PCS);
+            for (let r = 0; r < HG; r++) {
+                for (let c = 0; c < WG; c++) {
+                    const dst = (r * WG + c) * NUM_PCS;
+                    if (r < oldHG && c < oldWG) {
+                        const src = (r * oldWG + c) * NUM_PCS;
+                        data.set(z.subarray(src, src + NUM_PCS), dst);
+                    } else {
+                        sampleLatent(data, dst);
+                    }
+                }
+            }
+            z = data;
+            initDynamics();
+        }
+
+        // Replace z with a snapshot taken on a possibly different grid.
+        // Tiles wrap around when the target grid is larger than the source.
+        function remap(src, srcHG, srcWG) {
+            const data = new Float32Array(HG * WG * NUM_PCS);
+            for (let r = 0; r < HG; r++) {
+                for (let c = 0; c < WG; c++) {
+                    const from = ((r % srcHG) * srcWG + (c % srcWG)) * NUM_PCS;
+                    data.set(src.subarray(from, from + NUM_PCS), (r * WG + c) * NUM_PCS);
+                }
+            }
+            z = data;
+            initDynamics();
+        }
+
+        function setParams(values) {
+            Object.assign(params, values);
+            tileParams = null;
+        }
+
+        // Switch the walk's process; it starts from the current latents
+        function setDynamics(name) {
+            const next = PCADynamics.PROCESSES[name] ? name : 'ar1';
+            if (next === dynamics) return;
+            dynamics = next;
+            initDynamics();
+        }
+
+        // Replace the overrides; entries outside the grid have no effect
+        function setOverrides(list) {
+            overrides = list.map(o => ({ scope: o.scope, index: o.index, params: Object.assign({}, o.params) }));
+            tileParams = null;
+        }
+
+        function setInterpolation(options) {
+            interpolation.mode = options.mode;
+            interpolation.method = options.method;
+            interpolation.layout = options.layout;
+            interpolation.segmentFrames = Math.max(1, options.segmentFrames);
+            keyframes = options.keyframes.filter(kf => kf.length === NUM_PCS);
+            seekSnapshots = [];
+        }
+
+        function setFrozen(tile, isFrozen) {
+            if (isFrozen) {
+                frozen.add(tile);
+            } else {
+                frozen.delete(tile);
+            }
+        }
+
+        function tileRow(tile) {
+            return z.subarray(tile * NUM_PCS, (tile + 1) * NUM_PCS);
+        }
+
+        return {
+            get NUM_PCS() { return NUM_PCS; },
+            get stds() { return stds; },
+            get HG() { return HG; },
+            get WG() { return WG; },
+            get z() { return z; },
+            get seed() { return seed; },
+            get frame() { return frameIndex; },
+            get keyframeCount() { return keyframes.length; },
+            get dynamics() { return dynamics; },
+            params,
+            interpolation,
+            activeComponents,
+            truncateComponents,
+            setBasis,
+            reseed,
+            next,
+            setGrid,
+            remap,
+            setParams,
+            setDynamics,
+            setOverrides,
+            setInterpolation,
+            setFrozen,
+            tileRow
+        };
+    }
+
+    // Columns per block in reconstruct(): one block of an eigvec row (8 KB)
+    // stays in L1 while it is applied to every latent row
+    const BLOCK_COLUMNS = 2048;
+
+    // x = mu + z[:, :pcs] @ eigvecs[:pcs] for `count` latent rows of length numPcs.
+    // mu is [D], eigvecs [K, D]; out is [count, D]. Blocked over columns.
+    function reconstruct(z, count, numPcs, pcs, mu, eigvecs, out) {
+        const D = mu.length;
+        for (let t = 0; t < count; t++) {
+            out.set(mu, t * D);
+        }
+
+        for (let i0 = 0; i0 < D; i0 += BLOCK_COLUMNS) {
+            const i1 = Math.min(i0 + BLOCK_COLUMNS, D);
+            for (let j = 0; j < pcs; j++) {
+                const e = j * D;
+                for (let t = 0; t < count; t++) {
+                    const c = z[t * numPcs + j];
+                    if (c === 0) continue;
+                    const o = t * D;
+                    for (let i = i0; i < i1; i++) {
+                        out[o + i] += c * eigvecs[e + i];
+                    }
+                }
+            }
+        }
+        return out;
+    }
+
+    // Map [min, max] onto 0..255, clip and truncate, as the worker's display path does
+    function toDisplayBytes(values, valueRange, out) {
+        const [min, max] = valueRange;
+        const scale = 255 / (max - min);
+        for (let i = 0; i < values.length; i++) {
+            const v = (values[i] - min) * scale;
+            out[i] = v <= 0 ? 0 : v >= 255 ? 255 : Math.trunc(v);
+        }
+        return out;
+    }
+
+    // Tiles [HG*WG, HP, WP, C] laid out as one [HG*HP, WG*WP, C] image
+    function tileGrid(tiles, HG, WG, HP, WP, channels, out) {
+        const rowLength = WP * channels;
+        for (let gr = 0; gr < HG; gr++) {
+            for (let gc = 0; gc < WG; gc++) {
+                const tile = (gr * WG + gc) * HP * rowLength;
+                for (let y = 0; y < HP; y++) {
+                    const src = tile + y * rowLength;
+                    const dst = ((gr * HP + y) * WG + gc) * rowLength;
+                    out.set(tiles.subarray(src, src + rowLength), dst);
+                }
+            }
+        }
+        return out;
+    }
+
+    // The sampler's current grid as RGB bytes [HG*HP, WG*WP, 3].
+    // basis = { mu, eigvecs, height, width, valueRange }, plain typed arrays.
+    function renderGrid(sampler, basis) {
+        const T = sampler.HG * sampler.WG;
+        const D = basis.mu.length;
+        const values = reconstruct(sampler.truncateComponents(sampler.z.slice()), T, sampler.NUM_PCS, sampler.activeComponents(),
+            basis.mu, basis.eigvecs, new Float32Array(T * D));
+        const bytes = toDisplayBytes(values, basis.valueRange, new Uint8Array(T * D));
+        return tileGrid(bytes, sampler.HG, sampler.WG, basis.height, basis.width, 3, new Uint8Array(T * D));
+    }
+
+    return {
+        MAX_SEEK_FRAME,
+        createSampler,
+        reconstruct,
+        toDisplayBytes,
+        tileGrid,
+        renderGrid
+    };
+});
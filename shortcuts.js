@@ -0,0 +1,172 @@
+// Keyboard shortcuts, their cheat sheet (?), presets on the number keys and
+// the full-screen performance mode, which hides everything but the canvas.
+// The cheat sheet is built from SHORTCUTS, so the two cannot drift apart.
+
+const PRESETS_STORAGE_KEY = 'pca-presets';
+
+// Keys 1-9; Shift+number stores the current settings over a slot
+const BUILTIN_PRESETS = [
+    { name: 'AR(1) walk', dynamics: 'ar1', params: { k: 0.9, s: 0.9, p: 1.0 }, steps: 10, transition: { style: 'fade', easing: 'linear' } },
+    { name: 'Slow drift', dynamics: 'ar1', params: { k: 0.98, s: 0.9, p: 1.0 }, steps: 40, transition: { style: 'fade', easing: 'smoothstep' } },
+    { name: 'Momentum', dynamics: 'momentum', params: { friction: 0.1, spring: 0.05, s: 0.9 }, steps: 8, transition: { style: 'latent', easing: 'linear' } },
+    { name: 'Orbits', dynamics: 'lissajous', params: { orbit_speed: 0.01, orbit_spread: 0.3, s: 1.0 }, steps: 6, transition: { style: 'latent', easing: 'linear' } },
+    { name: 'Component tour', dynamics: 'tour', params: { tour_frames: 40, tour_range: 2 }, steps: 4, transition: { style: 'fade', easing: 'linear' } },
+    { name: 'Glitch', dynamics: 'ar1', params: { k: 0.3, s: 1.4, p: 0.5 }, steps: 3, transition: { style: 'dissolve', easing: 'cubic' } }
+];
+
+// Stored presets by slot (0-8), over the built-in ones
+let userPresets = {};
+
+const SHORTCUTS = [
+    { keys: 'Space', description: 'Pause / resume', match: e => e.code === 'Space', run: () => setPaused(!paused) },
+    { keys: '→', description: 'Step one frame (pauses)', match: e => e.key === 'ArrowRight', run: stepFrame },
+    { keys: '←', description: 'Back one frame (pauses)', match: e => e.key === 'ArrowLeft', run: stepBack },
+    { keys: '↑ / ↓', description: 'Previous / next dataset', match: e => e.key === 'ArrowUp' || e.key === 'ArrowDown', run: e => cycleDataset(e.key === 'ArrowUp' ? -1 : 1) },
+    { keys: '1-9', description: 'Apply a preset', match: e => presetSlot(e) !== null && !e.shiftKey, run: e => applyPreset(presetSlot(e)) },
+    { keys: 'Shift+1-9', description: 'Store the current settings as a preset', match: e => presetSlot(e) !== null && e.shiftKey, run: e => storePreset(presetSlot(e)) },
+    { keys: 'R', description: 'Reseed z', match: e => e.key === 'r' || e.key === 'R', run: () => reseed(PCARandom.randomSeed()) },
+    { keys: 'F', description: 'Full-screen performance mode', match: e => e.key === 'f' || e.key === 'F', run: () => toggleFullscreen() },
+    { keys: '?', description: 'This cheat sheet', match: e => e.key === '?', run: () => toggleCheatSheet() },
+    { keys: 'Esc', description: 'Close the cheat sheet / leave full screen', match: e => e.key === 'Escape', run: () => toggleCheatSheet(false) }
+];
+
+// Preset slot 0-8 from a number key (by code, so Shift does not change it)
+function presetSlot(e) {
+    const match = /^(?:Digit|Numpad)([1-9])$/.exec(e.code);
+    return match ? parseInt(match[1]) - 1 : null;
+}
+
+function presetAt(slot) {
+    return userPresets[slot] || BUILTIN_PRESETS[slot] || null;
+}
+
+function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '{}');
+        if (stored && typeof stored === 'object') userPresets = stored;
+    } catch (err) {
+        console.warn('Ignoring stored presets:', err.message);
+    }
+}
+
+function showShortcutStatus(text) {
+    const el = document.getElementById('shortcut-status');
+    el.textContent = text;
+    el.classList.add('visible');
+    clearTimeout(showShortcutStatus.timer);
+    showShortcutStatus.timer = setTimeout(() => el.classList.remove('visible'), 1500);
+}
+
+function applyPreset(slot) {
+    const preset = presetAt(slot);
+    if (!preset) {
+        showShortcutStatus(`Preset ${slot + 1} is empty (Shift+${slot + 1} stores one)`);
+        return;
+    }
+
+    Object.assign(pcaParams, preset.params);
+    if (preset.dynamics !== dynamics) {
+        setDynamics(preset.dynamics);
+    }
+    setSteps(preset.steps);
+    syncSliders();
+    updateWorkerParams();
+    if (preset.transition) setTransition(preset.transition);
+    writeStateToHash();
+    console.log(`Preset ${slot + 1}: ${preset.name}`);
+    showShortcutStatus(`${slot + 1}: ${preset.name}`);
+}
+
+// The current process' parameters, speed and transition; not num_pc, which depends on the dataset
+function storePreset(slot) {
+    const params = {};
+    for (const field of PCADynamics.getProcess(dynamics).schema) {
+        params[field.key] = pcaParams[field.key];
+    }
+    userPresets[slot] = {
+        name: `${PCADynamics.getProcess(dynamics).label} (stored)`,
+        dynamics,
+        params,
+        steps,
+        transition: Object.assign({}, transition)
+    };
+    try {
+        localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(userPresets));
+    } catch (err) {
+        console.warn('Could not store presets:', err.message);
+    }
+    showShortcutStatus(`Stored preset ${slot + 1}`);
+    updateCheatSheet();
+}
+
+function cycleDataset(direction) {
+    if (datasetOrder.length === 0) return;
+    const index = datasetOrder.indexOf(currentDataset);
+    const next = datasetOrder[(index + direction + datasetOrder.length) % datasetOrder.length];
+    showShortcutStatus(datasets[next].manifest.display_name || next);
+    switchDataset(next);
+}
+
+// Full screen with the UI hidden; the grid refits to the screen on the resize
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+        return;
+    }
+    if (!document.documentElement.requestFullscreen) {
+        showShortcutStatus('Full screen is not supported in this browser');
+        return;
+    }
+    document.documentElement.requestFullscreen().catch(err => {
+        console.error('Fullscreen error:', err);
+        showShortcutStatus('Full screen was refused');
+    });
+}
+
+function toggleCheatSheet(open) {
+    document.getElementById('cheat-sheet').classList.toggle('open', open);
+}
+
+function updateCheatSheet() {
+    const table = document.getElementById('cheat-sheet-keys');
+    table.innerHTML = '';
+    const addRow = (keys, description) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = keys;
+        row.insertCell().textContent = description;
+    };
+    for (const shortcut of SHORTCUTS) {
+        addRow(shortcut.keys, shortcut.description);
+    }
+    for (let slot = 0; slot < 9; slot++) {
+        const preset = presetAt(slot);
+        if (preset) addRow(String(slot + 1), preset.name);
+    }
+}
+
+function handleKeydown(e) {
+    // Typing in a field or moving a slider, a focused button's own Space and
+    // the browser's shortcuts are left alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest('input, select, textarea')) return;
+    if (e.target.closest('button') && e.code === 'Space') return;
+
+    const shortcut = SHORTCUTS.find(s => s.match(e));
+    if (!shortcut) return;
+    e.preventDefault();
+    shortcut.run(e);
+}
+
+function initShortcuts() {
+    loadPresets();
+    updateCheatSheet();
+
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('fullscreenchange', () => {
+        document.body.classList.toggle('performance', !!document.fullscreenElement);
+    });
+    document.getElementById('keys-btn').addEventListener('click', () => toggleCheatSheet());
+    document.getElementById('cheat-sheet').addEventListener('click', (e) => {
+        if (e.target.id === 'cheat-sheet') toggleCheatSheet(false);
+    });
+}
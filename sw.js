@@ -0,0 +1,113 @@
+// Service worker: keeps the app shell, TensorFlow.js and visited datasets
+// available offline. Bump CACHE_VERSION to drop every cache from older releases.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `pca-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `pca-data-${CACHE_VERSION}`;
+
+// Must match the importScripts() URL in worker.js
+const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0';
+// Optional backend packages (webgpu, wasm and its .wasm binaries), cached once fetched
+const TFJS_BACKEND_PREFIX = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-';
+const TFJS_VERSION = '@4.11.0/';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'dataset.js',
+    'rng.js',
+    'dynamics.js',
+    'sampler.js',
+    'backends.js',
+    'transitions.js',
+    'renderer.js',
+    'offline.js',
+    'latents.js',
+    'tiles.js',
+    'audio.js',
+    'controllers.js',
+    'shortcuts.js',
+    'inspector.js',
+    'interpolation.js',
+    'gallery.js',
+    'encode.js',
+    'export.js',
+    'train.js',
+    'gpu-render.js',
+    'layout.js',
+    'app.js',
+    'worker.js',
+    'gif-worker.js',
+    'train-worker.js',
+    TFJS_URL
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith('pca-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve from cache, falling back to the network and caching what it returns
+async function cacheFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Serve from the network so edits show up, falling back to the cache offline
+async function networkFirst(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.url === TFJS_URL ||
+        (request.url.startsWith(TFJS_BACKEND_PREFIX) && request.url.includes(TFJS_VERSION))) {
+        // Pinned version, never changes
+        event.respondWith(cacheFirst(SHELL_CACHE, request));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+        // Basis files are large and immutable; manifests and the index are small
+        // and may gain entries, so they always try the network first
+        if (url.pathname.endsWith('.json')) {
+            event.respondWith(networkFirst(DATA_CACHE, request));
+        } else {
+            event.respondWith(cacheFirst(DATA_CACHE, request));
+        }
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(SHELL_CACHE, request));
+    }
+});
@@ -0,0 +1,157 @@
+// Tile overrides: grid rows, columns or single tiles with their own walk
+// parameters (e.g. num_pc 5 on the left against 84 on the right; the fields
+// follow the current dynamics process) and/or drawn
+// from another dataset, so several bases share one grid. The worker holds the
+// extra bases and renders mixed grids itself, so they need worker rendering.
+let tileOverrides = [];
+
+const NUM_PC_OVERRIDE = { key: 'num_pc', label: 'pcs', min: 1, max: 1000, step: 1 };
+
+// The current process' parameters, then the component count
+function overrideParams() {
+    return PCADynamics.getProcess(dynamics).schema
+        .map(field => ({ key: field.key, label: field.key, min: field.min, max: field.max, step: field.step }))
+        .concat([NUM_PC_OVERRIDE]);
+}
+
+function hasMixedGrid() {
+    return tileOverrides.some(o => o.dataset && o.dataset !== currentDataset);
+}
+
+function setTilesStatus(text) {
+    document.getElementById('tiles-status').textContent = text;
+}
+
+// Send the overrides with the manifests of any dataset they name
+async function sendTileOverrides() {
+    if (!worker) return;
+
+    if (hasMixedGrid() && renderMode === 'gpu') {
+        setRenderMode('worker');
+        if (renderMode === 'gpu') return;
+    }
+
+    const named = {};
+    for (const o of tileOverrides) {
+        if (o.dataset && datasets[o.dataset]) {
+            named[o.dataset] = { manifest: datasets[o.dataset].manifest, baseUrl: datasets[o.dataset].baseUrl };
+        }
+    }
+
+    setTilesStatus(Object.keys(named).length > 0 ? 'Loading datasets...' : '');
+    try {
+        const reply = await requestFromWorker({ type: 'set_overrides', overrides: tileOverrides, datasets: named });
+        setTilesStatus(reply.loaded.length > 0
+            ? `Mixed grid with ${reply.loaded.join(', ')} (rendered by the worker)`
+            : '');
+    } catch (err) {
+        console.error('Tile override error:', err);
+        setTilesStatus('Error: ' + err.message);
+    }
+}
+
+function updateTileOverrideList() {
+    const list = document.getElementById('tiles-list');
+    list.innerHTML = '';
+
+    if (tileOverrides.length === 0) {
+        list.textContent = 'No overrides; every tile follows the sliders and the current dataset.';
+    }
+
+    tileOverrides.forEach((override, i) => {
+        const row = document.createElement('div');
+        row.className = 'tile-override';
+
+        const scope = document.createElement('select');
+        scope.className = 'tool-select';
+        for (const [value, text] of [['row', 'Row'], ['col', 'Column'], ['tile', 'Tile']]) {
+            scope.add(new Option(text, value));
+        }
+        scope.value = override.scope;
+        scope.addEventListener('change', () => {
+            override.scope = scope.value;
+            sendTileOverrides();
+        });
+
+        // Counted from 0 like the inspector's row,col; tiles count row by row
+        const index = document.createElement('input');
+        index.type = 'number';
+        index.className = 'panel-input';
+        index.min = 0;
+        index.value = override.index;
+        index.title = 'Row, column or tile index';
+        index.addEventListener('change', () => {
+            override.index = Math.max(0, parseInt(index.value) || 0);
+            sendTileOverrides();
+        });
+
+        const dataset = document.createElement('select');
+        dataset.className = 'tool-select';
+        dataset.add(new Option('Same dataset', ''));
+        for (const id of datasetOrder) {
+            dataset.add(new Option(datasets[id].manifest.display_name || id, id));
+        }
+        dataset.value = override.dataset || '';
+        dataset.addEventListener('change', () => {
+            override.dataset = dataset.value || null;
+            sendTileOverrides();
+        });
+
+        row.append(scope, index, dataset);
+
+        // Blank fields keep the slider value
+        for (const param of overrideParams()) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'panel-input';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.placeholder = param.label;
+            input.title = param.label;
+            if (param.key in override.params) input.value = override.params[param.key];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (Number.isFinite(value)) {
+                    override.params[param.key] = Math.min(param.max, Math.max(param.min, value));
+                } else {
+                    delete override.params[param.key];
+                }
+                sendTileOverrides();
+            });
+            row.append(input);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'tool-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            tileOverrides.splice(i, 1);
+            updateTileOverrideList();
+            sendTileOverrides();
+        });
+        row.append(removeBtn);
+
+        list.appendChild(row);
+    });
+}
+
+function initTilesPanel() {
+    const panel = document.getElementById('tiles-panel');
+
+    document.getElementById('tiles-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+    document.getElementById('tiles-add').addEventListener('click', () => {
+        tileOverrides.push({ scope: 'col', index: 0, params: {}, dataset: null });
+        updateTileOverrideList();
+        sendTileOverrides();
+    });
+    document.getElementById('tiles-clear').addEventListener('click', () => {
+        tileOverrides = [];
+        updateTileOverrideList();
+        sendTileOverrides();
+    });
+
+    updateTileOverrideList();
+}
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Time one frame of generation (sampler step + reconstruction + tiling) on the
+// typed-array CPU backend and, when @tensorflow/tfjs can be required, on the
+// TF.js CPU backend the worker used to fall back to.
+//
+// Usage: node tools/bench.js [data/<dataset>] [--manifest FILE] [--grid HGxWG] [--frames N] [--tfjs MODULE]
+//
+// Without a dataset directory a random basis the size of data/anime1
+// (K=100, 128x128) is used. --manifest picks a quantized variant inside the
+// directory (default manifest.json); int8 bases are dequantized on load as in
+// the worker. --tfjs names the module to require
+// (default @tensorflow/tfjs), e.g. a path to a local node_modules copy.
+
+const fs = require('fs');
+const path = require('path');
+const PCADataset = require('../dataset.js');
+const PCARandom = require('../rng.js');
+const PCASampler = require('../sampler.js');
+const PCABackends = require('../backends.js');
+
+function readArrayBuffer(file) {
+    const buf = fs.readFileSync(file);
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+}
+
+function loadBasis(dir, manifestName) {
+    const manifest = PCADataset.validateManifest(JSON.parse(fs.readFileSync(path.join(dir, manifestName), 'utf8')));
+    const read = (entry) => readArrayBuffer(path.join(dir, entry.file));
+
+    const load = (name) => {
+        const entry = manifest.files[name];
+        let quant = null;
+        if (entry.scale && entry.offset) {
+            quant = {
+                scale: PCADataset.decodeFile(`${name}.scale`, read(entry.scale), entry.scale, manifest.byte_order),
+                offset: PCADataset.decodeFile(`${name}.offset`, read(entry.offset), entry.offset, manifest.byte_order)
+            };
+        }
+        return PCADataset.decodeFile(name, read(entry), entry, manifest.byte_order, quant);
+    };
+
+    return {
+        label: `${manifest.id} (${manifest.files.eigvecs.dtype})`,
+        stds: load('stds'),
+        mu: load('mu'),
+        eigvecs: load('eigvecs'),
+        height: manifest.height,
+        width: manifest.width,
+        valueRange: manifest.value_range
+    };
+}
+
+function randomBasis(K, height, width) {
+    const rng = PCARandom.createRng(1);
+    const D = height * width * 3;
+    const eigvecs = new Float32Array(K * D);
+    for (let i = 0; i < eigvecs.length; i++) {
+        eigvecs[i] = rng.normal() / Math.sqrt(D);
+    }
+    return {
+        label: `random K=${K} ${width}x${height}`,
+        stds: Float32Array.from({ length: K }, (_, j) => 2000 / (j + 1)),
+        mu: new Float32Array(D).fill(128),
+        eigvecs,
+        height,
+        width,
+        valueRange: [0, 255]
+    };
+}
+
+async function timeBackend(backend, basis, HG, WG, frames) {
+    const K = basis.stds.length;
+    backend.setBasis(basis.mu, basis.height, basis.width, basis.valueRange);
+    backend.setComponents(basis.eigvecs, K);
+
+    const sampler = PCASampler.createSampler();
+    sampler.setBasis(basis.stds);
+    sampler.setGrid(HG, WG);
+    sampler.reseed(1, 0);
+
+    // One warm-up frame (JIT, tf kernel setup)
+    sampler.next();
+    await backend.renderGrid(sampler.z, HG, WG, K, K);
+
+    const times = [];
+    for (let n = 0; n < frames; n++) {
+        const start = process.hrtime.bigint();
+        sampler.next();
+        await backend.renderGrid(sampler.z, HG, WG, K, K);
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    backend.dispose();
+
+    times.sort((a, b) => a - b);
+    const mean = times.reduce((a, b) => a + b, 0) / times.length;
+    console.log(`${backend.name.padEnd(12)} mean ${mean.toFixed(1)} ms  median ${times[times.length >> 1].toFixed(1)} ms  ` +
+        `min ${times[0].toFixed(1)} ms  (${frames} frames)`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const i = args.indexOf(name);
+        return i >= 0 ? args[i + 1] : fallback;
+    };
+    const dir = args.find((a, i) => !a.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+    const [HG, WG] = option('--grid', '4x6').split('x').map(Number);
+    const frames = parseInt(option('--frames', '10'));
+    const tfjsModule = option('--tfjs', '@tensorflow/tfjs');
+
+    const basis = dir ? loadBasis(dir, option('--manifest', 'manifest.json')) : randomBasis(100, 128, 128);
+    console.log(`Basis ${basis.label}, grid ${HG}x${WG}`);
+
+    await timeBackend(PCABackends.createCpuBackend(), basis, HG, WG, frames);
+
+    let tf = null;
+    try {
+        tf = require(tfjsModule);
+    } catch (err) {
+        console.log(`tfjs-cpu     skipped: cannot require ${tfjsModule}`);
+    }
+    if (tf) {
+        await tf.setBackend('cpu');
+        await tf.ready();
+        await timeBackend(PCABackends.createTfBackend(tf), basis, HG, WG, frames);
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Write the test audio the Audio panel bundles (data/audio-test.wav): three
+// 1.5 s sections that each excite one analyser band, so the band split and the
+// mappings can be checked without a microphone or music.
+//
+//   0.0-1.5 s  bass    60 Hz kicks on every beat
+//   1.5-3.0 s  mid     partials spread over 300 Hz-3.5 kHz with a 4 Hz tremolo
+//   3.0-4.5 s  treble  partials spread over 4.5-10.5 kHz
+//
+// Usage: node tools/make-test-audio.js [OUT.wav]
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 22050;
+const SECTION_SECONDS = 1.5;
+const BEAT_SECONDS = 0.375;
+const PARTIALS = 24;
+
+// Sum of PARTIALS sines log-spaced over [low, high] with spread-out phases,
+// so the whole band has energy rather than one bin
+function bandTone(t, low, high) {
+    let sum = 0;
+    for (let i = 0; i < PARTIALS; i++) {
+        const freq = low * Math.pow(high / low, i / (PARTIALS - 1));
+        sum += Math.sin(2 * Math.PI * (freq * t + i * 0.618034));
+    }
+    return sum / Math.sqrt(PARTIALS);
+}
+
+function sample(t) {
+    const section = Math.floor(t / SECTION_SECONDS);
+    const local = t - section * SECTION_SECONDS;
+    switch (section) {
+        case 0: {
+            const beat = local % BEAT_SECONDS;
+            return Math.exp(-beat * 12) * Math.sin(2 * Math.PI * 60 * beat);
+        }
+        case 1:
+            return 0.25 * (0.75 + 0.25 * Math.sin(2 * Math.PI * 4 * local)) * bandTone(t, 300, 3500);
+        default:
+            return 0.25 * bandTone(t, 4500, 10500);
+    }
+}
+
+// 16-bit mono PCM WAV
+function encodeWAV(samples, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + samples.length * 2, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(samples.length * 2, 40);
+
+    const data = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        data.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+    }
+    return Buffer.concat([header, data]);
+}
+
+function main() {
+    const out = process.argv[2] || path.join(__dirname, '..', 'data', 'audio-test.wav');
+    const length = Math.round(3 * SECTION_SECONDS * SAMPLE_RATE);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = sample(i / SAMPLE_RATE);
+    }
+    fs.writeFileSync(out, encodeWAV(samples, SAMPLE_RATE));
+    console.log(`Wrote ${out} (${(length / SAMPLE_RATE).toFixed(1)} s at ${SAMPLE_RATE} Hz)`);
+}
+
+main();
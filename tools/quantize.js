@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Write float16 and int8 variants of a dataset's eigvecs and report how much
+// reconstruction error each one introduces compared to the float32 basis.
+//
+// Usage: node tools/quantize.js data/<dataset> [--samples N]
+//
+// Writes next to the original files:
+//   eigvecs.f16.bin                                  float16 [K, H, W, C]
+//   eigvecs.i8.bin, eigvecs.i8.scale.bin,
+//   eigvecs.i8.offset.bin                            int8 [K, H, W, C] + float32 [K] x2
+//   manifest.float16.json, manifest.int8.json        manifests pointing at them
+//   stds.le.bin, mu.le.bin                           float32, only for a big-endian source
+// Point data/index.json at one of the new manifests to ship it.
+
+const fs = require('fs');
+const path = require('path');
+const PCADataset = require('../dataset.js');
+const PCARandom = require('../rng.js');
+
+function readArrayBuffer(file) {
+    const buf = fs.readFileSync(file);
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+}
+
+function writeTyped(file, typed) {
+    fs.writeFileSync(file, Buffer.from(typed.buffer, typed.byteOffset, typed.byteLength));
+}
+
+// Assumes a little-endian host, as the browser loader does for typed arrays
+function toFloat16(values) {
+    const out = new Uint16Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        out[i] = PCADataset.floatToHalf(values[i]);
+    }
+    return out;
+}
+
+// Symmetric-range int8 per component: q in [-127, 127], v = q * scale + offset
+function toInt8(values, K) {
+    const rowSize = values.length / K;
+    const q = new Int8Array(values.length);
+    const scale = new Float32Array(K);
+    const offset = new Float32Array(K);
+
+    for (let k = 0; k < K; k++) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let i = k * rowSize; i < (k + 1) * rowSize; i++) {
+            lo = Math.min(lo, values[i]);
+            hi = Math.max(hi, values[i]);
+        }
+        offset[k] = (hi + lo) / 2;
+        scale[k] = (hi - lo) / 254 || 1;
+        for (let i = k * rowSize; i < (k + 1) * rowSize; i++) {
+            q[i] = Math.max(-127, Math.min(127, Math.round((values[i] - offset[k]) / scale[k])));
+        }
+    }
+
+    return { q, scale, offset };
+}
+
+function reconstruct(z, mu, eigvecs, K, D, lo, hi) {
+    const x = Float64Array.from(mu);
+    for (let k = 0; k < K; k++) {
+        const zk = z[k];
+        const row = k * D;
+        for (let i = 0; i < D; i++) {
+            x[i] += zk * eigvecs[row + i];
+        }
+    }
+    // Same display mapping and clipping as the worker
+    for (let i = 0; i < D; i++) {
+        x[i] = Math.max(0, Math.min(255, (x[i] - lo) * 255 / (hi - lo)));
+    }
+    return x;
+}
+
+function errorReport(label, basis, reference, samples, ctx) {
+    const { mu, stds, K, D, lo, hi } = ctx;
+    // Fixed seed so reports are comparable between runs
+    const rng = PCARandom.createRng(1234);
+    let sumSq = 0;
+    let maxAbs = 0;
+
+    for (let n = 0; n < samples; n++) {
+        const z = new Float64Array(K);
+        for (let k = 0; k < K; k++) {
+            z[k] = rng.normal() * stds[k];
+        }
+        const a = reconstruct(z, mu, reference, K, D, lo, hi);
+        const b = reconstruct(z, mu, basis, K, D, lo, hi);
+        for (let i = 0; i < D; i++) {
+            const d = a[i] - b[i];
+            sumSq += d * d;
+            maxAbs = Math.max(maxAbs, Math.abs(d));
+        }
+    }
+
+    const rmse = Math.sqrt(sumSq / (samples * D));
+    const psnr = rmse > 0 ? 20 * Math.log10(255 / rmse) : Infinity;
+    console.log(`${label.padEnd(8)} rmse=${rmse.toFixed(4)}  max=${maxAbs.toFixed(3)}  psnr=${psnr.toFixed(2)} dB  (0..255 pixel units)`);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const dir = args.find((a) => !a.startsWith('--'));
+    const samplesIdx = args.indexOf('--samples');
+    const samples = samplesIdx >= 0 ? parseInt(args[samplesIdx + 1]) : 16;
+
+    if (!dir) {
+        console.error('Usage: node tools/quantize.js data/<dataset> [--samples N]');
+        process.exit(1);
+    }
+
+    const manifest = PCADataset.validateManifest(JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8')));
+    const files = manifest.files;
+    if (files.eigvecs.dtype !== 'float32') {
+        throw new Error(`${dir}: eigvecs are already ${files.eigvecs.dtype}, expected a float32 basis`);
+    }
+
+    const load = (name) => PCADataset.decodeFile(name, readArrayBuffer(path.join(dir, files[name].file)), files[name], manifest.byte_order);
+    const stds = load('stds');
+    const mu = load('mu');
+    const eigvecs = load('eigvecs');
+
+    const K = manifest.num_components;
+    const D = mu.length;
+    const [lo, hi] = manifest.value_range;
+
+    // The new manifests are little-endian throughout, so a big-endian source
+    // also gets little-endian copies of stds and mu
+    const shared = {};
+    if (manifest.byte_order !== 'little') {
+        for (const [name, values] of [['stds', stds], ['mu', mu]]) {
+            const file = `${name}.le.bin`;
+            writeTyped(path.join(dir, file), values);
+            shared[name] = { file, dtype: 'float32', shape: files[name].shape };
+        }
+    }
+
+    // float16
+    const f16 = toFloat16(eigvecs);
+    writeTyped(path.join(dir, 'eigvecs.f16.bin'), f16);
+    const f16Manifest = JSON.parse(JSON.stringify(manifest));
+    f16Manifest.byte_order = 'little';
+    Object.assign(f16Manifest.files, JSON.parse(JSON.stringify(shared)));
+    f16Manifest.files.eigvecs = { file: 'eigvecs.f16.bin', dtype: 'float16', shape: files.eigvecs.shape };
+
+    // int8 with per-component scale/offset
+    const { q, scale, offset } = toInt8(eigvecs, K);
+    writeTyped(path.join(dir, 'eigvecs.i8.bin'), q);
+    writeTyped(path.join(dir, 'eigvecs.i8.scale.bin'), scale);
+    writeTyped(path.join(dir, 'eigvecs.i8.offset.bin'), offset);
+    const i8Manifest = JSON.parse(JSON.stringify(manifest));
+    i8Manifest.byte_order = 'little';
+    Object.assign(i8Manifest.files, JSON.parse(JSON.stringify(shared)));
+    i8Manifest.files.eigvecs = {
+        file: 'eigvecs.i8.bin',
+        dtype: 'int8',
+        shape: files.eigvecs.shape,
+        scale: { file: 'eigvecs.i8.scale.bin', dtype: 'float32', shape: [K] },
+        offset: { file: 'eigvecs.i8.offset.bin', dtype: 'float32', shape: [K] }
+    };
+
+    fs.writeFileSync(path.join(dir, 'manifest.float16.json'), JSON.stringify(f16Manifest, null, 4) + '\n');
+    fs.writeFileSync(path.join(dir, 'manifest.int8.json'), JSON.stringify(i8Manifest, null, 4) + '\n');
+
+    // Decode what was written, exactly as the worker will
+    const f16Decoded = PCADataset.decodeFile('eigvecs', readArrayBuffer(path.join(dir, 'eigvecs.f16.bin')), f16Manifest.files.eigvecs, 'little');
+    const i8Decoded = PCADataset.decodeFile('eigvecs', readArrayBuffer(path.join(dir, 'eigvecs.i8.bin')), i8Manifest.files.eigvecs, 'little', { scale, offset });
+
+    const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+    console.log(`Dataset ${manifest.id}: K=${K}, ${manifest.height}x${manifest.width}x${manifest.channels}`);
+    console.log(`float32  ${mb(eigvecs.byteLength)}`);
+    console.log(`float16  ${mb(f16.byteLength)}`);
+    console.log(`int8     ${mb(q.byteLength + scale.byteLength + offset.byteLength)}`);
+    console.log(`Reconstruction error over ${samples} random latents z ~ N(0, stds):`);
+
+    const ctx = { mu, stds, K, D, lo, hi };
+    errorReport('float16', f16Decoded, eigvecs, samples, ctx);
+    errorReport('int8', i8Decoded, eigvecs, samples, ctx);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// Render grids or frame sequences from a dataset directory without a browser,
+// using the same sampler (seeded walk, mask, tiling) as the worker.
+// Frame F here is the image the app shows as frame F for the same seed.
+//
+// Usage: node tools/render.js data/<dataset> [options]
+//
+//   --manifest FILE   manifest inside the directory (default manifest.json)
+//   --seed N          latent seed (default 1)
+//   --dynamics NAME   walk process from dynamics.js (default ar1)
+//   --k, --s, --p     AR(1) parameters (defaults 0.9, 0.9, 1.0)
+//   --param KEY=V     any other process parameter, e.g. --param friction=0.2
+//   --num-pc N        components used (default all)
+//   --grid HGxWG      grid size (default 4x6)
+//   --start F         first frame to write (default 1)
+//   --frames N        number of consecutive frames (default 1)
+//   --out PATH        a .png file for a single frame, otherwise a directory
+//                     that receives frame00001.png, ...
+//   --hash            print a SHA-256 of each frame's RGB bytes (for regression checks)
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const PCADataset = require('../dataset.js');
+const PCASampler = require('../sampler.js');
+const PCADynamics = require('../dynamics.js');
+
+function readArrayBuffer(file) {
+    const buf = fs.readFileSync(file);
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+}
+
+// Decode stds, mu and eigvecs (dequantizing int8 entries) as the worker does
+function loadBasis(dir, manifestName) {
+    const manifest = PCADataset.validateManifest(JSON.parse(fs.readFileSync(path.join(dir, manifestName), 'utf8')));
+    const read = (entry) => readArrayBuffer(path.join(dir, entry.file));
+
+    const load = (name) => {
+        const entry = manifest.files[name];
+        let quant = null;
+        if (entry.scale && entry.offset) {
+            quant = {
+                scale: PCADataset.decodeFile(`${name}.scale`, read(entry.scale), entry.scale, manifest.byte_order),
+                offset: PCADataset.decodeFile(`${name}.offset`, read(entry.offset), entry.offset, manifest.byte_order)
+            };
+        }
+        return PCADataset.decodeFile(name, read(entry), entry, manifest.byte_order, quant);
+    };
+
+    return {
+        manifest,
+        stds: load('stds'),
+        mu: load('mu'),
+        eigvecs: load('eigvecs'),
+        height: manifest.height,
+        width: manifest.width,
+        valueRange: manifest.value_range
+    };
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB PNG, no filtering
+function encodePNG(rgb, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: RGB
+
+    const rowBytes = width * 3;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (rowBytes + 1)] = 0;
+        Buffer.from(rgb.buffer, rgb.byteOffset + y * rowBytes, rowBytes).copy(raw, y * (rowBytes + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function parseArgs(argv) {
+    const options = {
+        dir: null,
+        manifest: 'manifest.json',
+        seed: 1,
+        k: 0.9,
+        s: 0.9,
+        p: 1.0,
+        dynamics: 'ar1',
+        params: {},
+        numPc: Infinity,
+        HG: 4,
+        WG: 6,
+        start: 1,
+        frames: 1,
+        out: null,
+        hash: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--manifest': options.manifest = value(); break;
+            case '--seed': options.seed = parseInt(value()) >>> 0; break;
+            case '--k': options.k = parseFloat(value()); break;
+            case '--s': options.s = parseFloat(value()); break;
+            case '--p': options.p = parseFloat(value()); break;
+            case '--dynamics': {
+                options.dynamics = value();
+                if (!PCADynamics.PROCESSES[options.dynamics]) {
+                    throw new Error(`Unknown dynamics ${options.dynamics} (${PCADynamics.NAMES.join(', ')})`);
+                }
+                break;
+            }
+            case '--param': {
+                const match = /^(\w+)=(.+)$/.exec(value());
+                if (!match || !Number.isFinite(parseFloat(match[2]))) throw new Error('--param must look like friction=0.2');
+                options.params[match[1]] = parseFloat(match[2]);
+                break;
+            }
+            case '--num-pc': options.numPc = parseInt(value()); break;
+            case '--grid': {
+                const match = /^(\d+)x(\d+)$/.exec(value());
+                if (!match) throw new Error('--grid must look like 4x6');
+                options.HG = parseInt(match[1]);
+                options.WG = parseInt(match[2]);
+                break;
+            }
+            case '--start': options.start = Math.max(1, parseInt(value())); break;
+            case '--frames': options.frames = Math.max(1, parseInt(value())); break;
+            case '--out': options.out = value(); break;
+            case '--hash': options.hash = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.dir = arg;
+        }
+    }
+
+    if (!options.dir) {
+        throw new Error('Usage: node tools/render.js data/<dataset> [--seed N] [--grid HGxWG] [--frames N] [--out PATH] [--hash]');
+    }
+    if (!options.out && !options.hash) {
+        throw new Error('Nothing to do: pass --out and/or --hash');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const basis = loadBasis(options.dir, options.manifest);
+    const { manifest } = basis;
+
+    const sampler = PCASampler.createSampler();
+    sampler.setBasis(basis.stds);
+    sampler.setGrid(options.HG, options.WG);
+    sampler.setParams({ k: options.k, s: options.s, p: options.p, num_pc: options.numPc, ...options.params });
+    sampler.setDynamics(options.dynamics);
+    sampler.reseed(options.seed, options.start);
+
+    const width = options.WG * basis.width;
+    const height = options.HG * basis.height;
+    const single = options.out && options.out.endsWith('.png');
+    if (single && options.frames > 1) {
+        throw new Error('--out FILE.png writes one frame; give a directory for --frames > 1');
+    }
+    if (options.out && !single) {
+        fs.mkdirSync(options.out, { recursive: true });
+    }
+
+    console.log(`Dataset ${manifest.id}: K=${manifest.num_components}, tile ${basis.width}x${basis.height}, ` +
+        `grid ${options.HG}x${options.WG}, seed ${options.seed}`);
+
+    for (let n = 0; n < options.frames; n++) {
+        const frame = sampler.next();
+        const rgb = PCASampler.renderGrid(sampler, basis);
+
+        if (options.out) {
+            const file = single ? options.out : path.join(options.out, `frame${String(frame).padStart(5, '0')}.png`);
+            fs.writeFileSync(file, encodePNG(rgb, width, height));
+            console.log(`frame ${frame} -> ${file}`);
+        }
+        if (options.hash) {
+            console.log(`frame ${frame} sha256 ${crypto.createHash('sha256').update(rgb).digest('hex')}`);
+        }
+    }
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
@@ -0,0 +1,276 @@
+// PCA training for datasets built in the browser. Images arrive one at a time
+// as HP x WP RGB bytes and are kept as bytes; the basis comes from a
+// randomized SVD that only ever touches BATCH_SIZE images as floats, so the
+// float working set is a few [D, K] matrices however many images there are.
+//
+// Messages in:  { type: 'start', height, width, components, seed }
+//               { type: 'image', data: Uint8Array RGB }
+//               { type: 'train' }
+// Messages out: { type: 'progress', stage, done, total }
+//               { type: 'done', count, mu, stds, eigvecs }  |  { type: 'error', data: message }
+// Offline or with the CDN blocked there is no tf; 'start' then replies with an error
+try {
+    importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0');
+} catch (err) {
+    console.warn('TensorFlow.js failed to load:', err.message);
+}
+importScripts('rng.js');
+
+const BATCH_SIZE = 64;
+// Extra random directions and power iterations for the range finder
+const OVERSAMPLE = 10;
+const POWER_ITERATIONS = 2;
+
+let HP = 0;
+let WP = 0;
+let D = 0;
+let K = 0;
+let seed = 0;
+let images = [];
+
+function progress(stage, done, total) {
+    self.postMessage({ type: 'progress', stage, done, total });
+}
+
+// Eigen-decomposition of a symmetric n x n matrix (Float64Array, row-major)
+// by cyclic Jacobi rotations. Returns eigenvalues in descending order and the
+// matching eigenvectors as columns.
+function symmetricEigen(matrix, n) {
+    const a = Float64Array.from(matrix);
+    const v = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) v[i * n + i] = 1;
+
+    let norm = 0;
+    for (let i = 0; i < n * n; i++) norm += a[i] * a[i];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) off += a[p * n + q] * a[p * n + q];
+        }
+        if (off <= 1e-24 * norm) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const apq = a[p * n + q];
+                if (apq === 0) continue;
+
+                const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k * n + p];
+                    const akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p * n + k];
+                    const aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k * n + p];
+                    const vkq = v[k * n + q];
+                    v[k * n + p] = c * vkp - s * vkq;
+                    v[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j * n + j] - a[i * n + i]);
+    const values = new Float64Array(n);
+    const vectors = new Float64Array(n * n);
+    order.forEach((src, dst) => {
+        values[dst] = a[src * n + src];
+        for (let k = 0; k < n; k++) vectors[k * n + dst] = v[k * n + src];
+    });
+    return { values, vectors };
+}
+
+// Orthonormal basis for the columns of m [rows, n]: with m^T m = W L W^T,
+// Q = m W L^-1/2. Directions with no energy become zero columns. Applied
+// twice, since one pass in float32 leaves visible loss of orthogonality.
+async function orthonormalize(m) {
+    let q = m;
+    for (let pass = 0; pass < 2; pass++) {
+        const n = q.shape[1];
+        const gram = tf.matMul(q, q, true, false);
+        const { values, vectors } = symmetricEigen(await gram.data(), n);
+        gram.dispose();
+
+        const scaled = new Float32Array(n * n);
+        const floor = Math.max(values[0], 0) * 1e-10;
+        for (let k = 0; k < n; k++) {
+            const inv = values[k] > floor ? 1 / Math.sqrt(values[k]) : 0;
+            for (let i = 0; i < n; i++) scaled[i * n + k] = vectors[i * n + k] * inv;
+        }
+
+        const next = tf.tidy(() => tf.matMul(q, tf.tensor2d(scaled, [n, n])));
+        if (q !== m) q.dispose();
+        q = next;
+    }
+    return q;
+}
+
+// Mean image, accumulated in float64
+function computeMean() {
+    const sum = new Float64Array(D);
+    images.forEach((image, n) => {
+        for (let i = 0; i < D; i++) sum[i] += image[i];
+        if (n % BATCH_SIZE === 0) progress('mean', n, images.length);
+    });
+
+    const mu = new Float32Array(D);
+    for (let i = 0; i < D; i++) mu[i] = sum[i] / images.length;
+    return mu;
+}
+
+// Centered images [start, end) as a float tensor
+function centeredBatch(start, end, muTensor) {
+    const data = new Float32Array((end - start) * D);
+    for (let n = start; n < end; n++) {
+        data.set(images[n], (n - start) * D);
+    }
+    return tf.tidy(() => tf.sub(tf.tensor2d(data, [end - start, D]), muTensor));
+}
+
+// A m, for the centered data A [N, D] and m [D, l]
+function multiplyData(m, muTensor) {
+    const parts = [];
+    for (let start = 0; start < images.length; start += BATCH_SIZE) {
+        const end = Math.min(start + BATCH_SIZE, images.length);
+        const batch = centeredBatch(start, end, muTensor);
+        parts.push(tf.matMul(batch, m));
+        batch.dispose();
+    }
+    const out = tf.concat(parts, 0);
+    parts.forEach(part => part.dispose());
+    return out;
+}
+
+// A^T m, for the centered data A [N, D] and m [N, l]
+function multiplyDataTransposed(m, muTensor) {
+    let out = tf.zeros([D, m.shape[1]]);
+    for (let start = 0; start < images.length; start += BATCH_SIZE) {
+        const end = Math.min(start + BATCH_SIZE, images.length);
+        const batch = centeredBatch(start, end, muTensor);
+        const next = tf.tidy(() => tf.add(out, tf.matMul(batch, tf.slice(m, [start, 0], [end - start, m.shape[1]]), true, false)));
+        batch.dispose();
+        out.dispose();
+        out = next;
+    }
+    return out;
+}
+
+// Randomized SVD of the centered data (Halko, Martinsson & Tropp, alg. 4.4)
+async function train() {
+    const N = images.length;
+    if (N < 2) {
+        throw new Error('Need at least 2 images');
+    }
+    K = Math.min(K, N - 1, D);
+    const l = Math.min(K + OVERSAMPLE, N);
+
+    await tf.ready();
+    console.log(`Training ${K} components from ${N} images (${WP}x${HP}) on ${tf.getBackend()}`);
+
+    const mu = computeMean();
+    const muTensor = tf.tensor2d(mu, [1, D]);
+
+    const rng = PCARandom.createRng(seed);
+    const omegaData = new Float32Array(D * l);
+    for (let i = 0; i < omegaData.length; i++) omegaData[i] = rng.normal();
+    const omega = tf.tensor2d(omegaData, [D, l]);
+
+    const totalSteps = POWER_ITERATIONS + 2;
+    progress('range', 0, totalSteps);
+    let y = multiplyData(omega, muTensor);
+    omega.dispose();
+
+    for (let it = 0; it < POWER_ITERATIONS; it++) {
+        const q = await orthonormalize(y);
+        y.dispose();
+        const zRaw = multiplyDataTransposed(q, muTensor);
+        q.dispose();
+        const z = await orthonormalize(zRaw);
+        zRaw.dispose();
+        y = multiplyData(z, muTensor);
+        z.dispose();
+        progress('range', it + 1, totalSteps);
+    }
+
+    const q = await orthonormalize(y);
+    y.dispose();
+
+    // B = Q^T A [l, D]; its top singular vectors are the components
+    const bt = multiplyDataTransposed(q, muTensor);
+    q.dispose();
+    muTensor.dispose();
+    progress('range', totalSteps - 1, totalSteps);
+
+    const gram = tf.matMul(bt, bt, true, false);
+    const { values, vectors } = symmetricEigen(await gram.data(), l);
+    gram.dispose();
+
+    // Rows of V^T = diag(1/sigma) U^T B for the top K
+    const sigma = new Float32Array(K);
+    const proj = new Float32Array(K * l);
+    for (let k = 0; k < K; k++) {
+        sigma[k] = Math.sqrt(Math.max(values[k], 0));
+        const inv = sigma[k] > 0 ? 1 / sigma[k] : 0;
+        for (let i = 0; i < l; i++) proj[k * l + i] = vectors[i * l + k] * inv;
+    }
+    const components = tf.tidy(() => tf.matMul(tf.tensor2d(proj, [K, l]), bt, false, true));
+    bt.dispose();
+    const eigvecs = new Float32Array(await components.data());
+    components.dispose();
+    progress('range', totalSteps, totalSteps);
+
+    // Latent stds as the walk expects them: singular values over sqrt(N - 1)
+    const stds = sigma.map(value => value / Math.sqrt(N - 1));
+    console.log(`Training done, top std ${stds[0].toFixed(2)}, tensors alive: ${tf.memory().numTensors}`);
+    return { count: N, mu, stds, eigvecs };
+}
+
+self.onmessage = async function(e) {
+    const { type } = e.data;
+
+    try {
+        switch (type) {
+            case 'start':
+                if (typeof tf === 'undefined') {
+                    throw new Error('TensorFlow.js could not be loaded (offline?); building a dataset needs it');
+                }
+                HP = e.data.height;
+                WP = e.data.width;
+                D = HP * WP * 3;
+                K = e.data.components;
+                seed = e.data.seed;
+                images = [];
+                break;
+
+            case 'image':
+                if (e.data.data.length !== D) {
+                    throw new Error(`Image has ${e.data.data.length} values, expected ${D}`);
+                }
+                images.push(e.data.data);
+                break;
+
+            case 'train': {
+                const result = await train();
+                images = [];
+                self.postMessage(Object.assign({ type: 'done' }, result),
+                    [result.mu.buffer, result.stds.buffer, result.eigvecs.buffer]);
+                break;
+            }
+        }
+    } catch (err) {
+        console.error('Training error:', err);
+        self.postMessage({ type: 'error', data: err.message });
+    }
+};
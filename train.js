@@ -0,0 +1,196 @@
+// Build a dataset in the browser: pick a folder of images, crop them to
+// HP x WP and train a basis in train-worker.js. The result is written in the
+// data/<id> layout, loaded straight away and offered as a ZIP download.
+let trainFiles = [];
+let trainWorker = null;
+let trainedDataset = null;
+
+function setTrainStatus(text) {
+    document.getElementById('train-status').textContent = text;
+}
+
+// Lowercase id safe for a directory name, unique among loaded datasets
+function datasetId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+    let id = base;
+    for (let n = 2; datasets[id]; n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+function nativeByteOrder() {
+    return new Uint8Array(new Uint16Array([1]).buffer)[0] === 1 ? 'little' : 'big';
+}
+
+// The manifest and files exactly as they would sit in data/<id>/
+function buildDatasetFiles(id, displayName, height, width, result) {
+    const K = result.stds.length;
+    const manifest = {
+        format_version: PCADataset.FORMAT_VERSION,
+        id,
+        display_name: displayName,
+        byte_order: nativeByteOrder(),
+        channels: 3,
+        height,
+        width,
+        num_components: K,
+        value_range: [0, 255],
+        files: {
+            stds: { file: 'stds.bin', dtype: 'float32', shape: [K] },
+            mu: { file: 'mu.bin', dtype: 'float32', shape: [height, width, 3] },
+            eigvecs: { file: 'eigvecs.bin', dtype: 'float32', shape: [K, height, width, 3] }
+        }
+    };
+
+    return {
+        manifest,
+        files: {
+            'params.bin': new Uint8Array(new Int32Array([K, height, width]).buffer),
+            'mu.bin': new Uint8Array(result.mu.buffer),
+            'stds.bin': new Uint8Array(result.stds.buffer),
+            'eigvecs.bin': new Uint8Array(result.eigvecs.buffer)
+        }
+    };
+}
+
+// Add the trained dataset to the buttons, served from blob: URLs
+function registerDataset(built) {
+    const manifest = JSON.parse(JSON.stringify(built.manifest));
+    for (const entry of Object.values(manifest.files)) {
+        entry.file = URL.createObjectURL(new Blob([built.files[entry.file]]));
+    }
+    PCADataset.validateManifest(manifest);
+
+    datasets[manifest.id] = { manifest, baseUrl: '', local: true };
+    datasetOrder.push(manifest.id);
+    initDatasetButtons();
+    switchDataset(manifest.id);
+}
+
+function downloadTrainedDataset() {
+    if (!trainedDataset) return;
+    const { manifest, files } = trainedDataset;
+    const entries = [{
+        name: `${manifest.id}/manifest.json`,
+        data: new TextEncoder().encode(JSON.stringify(manifest, null, 2) + '\n')
+    }];
+    for (const [name, data] of Object.entries(files)) {
+        entries.push({ name: `${manifest.id}/${name}`, data });
+    }
+    downloadBlob(buildZip(entries), `${manifest.id}.zip`);
+}
+
+// Start the training worker; settles with its result or its first error
+function startTrainWorker() {
+    return new Promise((resolve, reject) => {
+        trainWorker = new Worker('train-worker.js');
+        trainWorker.onmessage = (e) => {
+            switch (e.data.type) {
+                case 'progress':
+                    setTrainStatus(e.data.stage === 'mean'
+                        ? `Computing mean ${e.data.done}/${e.data.total}`
+                        : `Randomized SVD pass ${e.data.done}/${e.data.total}`);
+                    break;
+                case 'done':
+                    resolve(e.data);
+                    break;
+                case 'error':
+                    reject(new Error(e.data.data));
+                    break;
+            }
+        };
+        trainWorker.onerror = (err) => reject(new Error(err.message));
+    });
+}
+
+async function buildDataset() {
+    const name = document.getElementById('train-name').value.trim() || 'Custom';
+    const height = parseInt(document.getElementById('train-height').value);
+    const width = parseInt(document.getElementById('train-width').value);
+    const components = parseInt(document.getElementById('train-components').value);
+    const buildBtn = document.getElementById('train-build');
+
+    if (trainFiles.length < 2) {
+        setTrainStatus('Choose a folder with at least 2 images');
+        return;
+    }
+    if (!(height > 0 && width > 0 && components > 0)) {
+        setTrainStatus('Height, width and components must be positive');
+        return;
+    }
+
+    buildBtn.disabled = true;
+    document.getElementById('train-download').disabled = true;
+    trainedDataset = null;
+
+    try {
+        const trained = startTrainWorker();
+        let failure = null;
+        trained.catch((err) => { failure = err; });
+        trainWorker.postMessage({ type: 'start', height, width, components, seed });
+
+        // Crop each image on the main thread and hand its bytes to the worker
+        // straight away, so only the worker holds the whole set
+        const canvas = document.createElement('canvas');
+        for (let i = 0; i < trainFiles.length; i++) {
+            if (failure) throw failure;
+            setTrainStatus(`Reading images ${i + 1}/${trainFiles.length}`);
+            let bitmap;
+            try {
+                bitmap = await createImageBitmap(trainFiles[i]);
+            } catch (err) {
+                console.warn(`Skipping ${trainFiles[i].name}:`, err);
+                continue;
+            }
+            const rgba = coverCrop(bitmap, canvas, width, height);
+            bitmap.close();
+
+            const rgb = new Uint8Array(height * width * 3);
+            for (let p = 0; p < height * width; p++) {
+                rgb[p * 3] = rgba[p * 4];
+                rgb[p * 3 + 1] = rgba[p * 4 + 1];
+                rgb[p * 3 + 2] = rgba[p * 4 + 2];
+            }
+            trainWorker.postMessage({ type: 'image', data: rgb }, [rgb.buffer]);
+        }
+        trainWorker.postMessage({ type: 'train' });
+
+        const result = await trained;
+        console.log(`Trained ${result.stds.length} components from ${result.count} images`);
+
+        const id = datasetId(name);
+        trainedDataset = buildDatasetFiles(id, name, height, width, result);
+        registerDataset(trainedDataset);
+
+        document.getElementById('train-download').disabled = false;
+        setTrainStatus(`Built ${id}: ${result.stds.length} components from ${result.count} images`);
+    } catch (err) {
+        console.error('Training error:', err);
+        setTrainStatus('Error: ' + err.message);
+    } finally {
+        if (trainWorker) {
+            trainWorker.terminate();
+            trainWorker = null;
+        }
+        buildBtn.disabled = false;
+    }
+}
+
+function initTrainPanel() {
+    const panel = document.getElementById('train-panel');
+    const folderInput = document.getElementById('train-folder');
+
+    document.getElementById('train-btn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+    });
+    document.getElementById('train-choose').addEventListener('click', () => folderInput.click());
+    folderInput.addEventListener('change', () => {
+        trainFiles = Array.from(folderInput.files).filter(f => f.type.startsWith('image/'));
+        setTrainStatus(`${trainFiles.length} images selected`);
+        folderInput.value = '';
+    });
+    document.getElementById('train-build').addEventListener('click', buildDataset);
+    document.getElementById('train-download').addEventListener('click', downloadTrainedDataset);
+    document.getElementById('train-download').disabled = true;
+}
@@ -0,0 +1,54 @@
+// Frame transitions shared by the page, the worker and renderer.js: easing
+// curves for the crossfade time and the transition styles. The display shader
+// in renderer.js evaluates the same curves per pixel, indexed by EASING_NAMES.
+//
+// Styles:
+//   fade      every pixel crossfades together
+//   stagger   each tile fades over half the transition, starting at its own offset
+//   wipe      a soft edge sweeps across the grid from left to right
+//   dissolve  each pixel switches over at its own (noise) time
+//   latent    in-betweens reconstructed from interpolated latents instead of
+//             blended pixels; with worker rendering the worker emits INBETWEENS
+//             frames per sampler step, the GPU path mixes latents by itself
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PCATransitions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+
+    const EASINGS = {
+        linear: x => x,
+        smoothstep: x => x * x * (3 - 2 * x),
+        cosine: x => 0.5 - 0.5 * Math.cos(Math.PI * x),
+        // Cubic ease-in-out
+        cubic: x => x < 0.5 ? 4 * x * x * x : 1 - 4 * Math.pow(1 - x, 3)
+    };
+
+    const STYLES = ['fade', 'stagger', 'wipe', 'dissolve', 'latent'];
+
+    // Frames the worker renders per sampler step for 'latent' transitions
+    const INBETWEENS = 4;
+
+    // Eased x for x in [0, 1]; unknown names are linear
+    function ease(name, x) {
+        return (EASINGS[name] || EASINGS.linear)(Math.min(1, Math.max(0, x)));
+    }
+
+    // Latents at eased position u along the straight line from a to b
+    function interpolateLatents(a, b, u, out) {
+        for (let i = 0; i < a.length; i++) {
+            out[i] = a[i] + (b[i] - a[i]) * u;
+        }
+        return out;
+    }
+
+    return {
+        EASING_NAMES: Object.keys(EASINGS),
+        STYLES,
+        INBETWEENS,
+        ease,
+        interpolateLatents
+    };
+});
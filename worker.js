@@ -1,44 +1,613 @@
-// Import TensorFlow.js
-importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0');
+// Import TensorFlow.js; without it (CDN blocked, offline and not cached)
+// generation falls back to the typed-array CPU backend
+try {
+    importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0');
+} catch (err) {
+    console.warn('TensorFlow.js failed to load:', err.message);
+}
+importScripts('dataset.js');
+importScripts('rng.js');
+importScripts('dynamics.js');
+importScripts('sampler.js');
+importScripts('backends.js');
+importScripts('transitions.js');
+importScripts('renderer.js');
 
 // --- GLOBALS
 const BUFFER_SIZE = 3;
 
-// Dynamic parameters (loaded from params.bin)
+// Components needed before generation starts; the rest stream in behind
+const MIN_PREVIEW_PCS = 8;
+// Minimum time between eigvecs tensor rebuilds while streaming
+const STREAM_UPDATE_MS = 250;
+// Time one reconstruction batch may take before the worker yields to its
+// message queue; large grids are rendered a few grid rows at a time
+const BATCH_BUDGET_MS = 16;
+
+// Dynamic parameters (loaded from the dataset manifest)
 let NUM_PCS = 84;
 let HP = 128;
 let WP = 128;
+let VALUE_MIN = 0;
+let VALUE_MAX = 255;
 
 let HG = 4;
 let WG = 6;
 let g_tex_H = HP * HG;
 let g_tex_W = WP * WG;
 
+// Row, column and tile overrides from the page (sampler.setOverrides format
+// plus an optional `dataset` id the tiles are drawn from instead)
+let tileOverrides = [];
+// Other datasets' bases for mixed grids, by id: { manifest, stds, mu, eigvecs,
+// backend, sampler, prevZ }. Each walks its own seeded latents over the grid.
+const extraBases = new Map();
+let overridesReady = null;
+
+// Transition chosen on the page; 'latent' makes the worker render in-betweens
+let transition = { style: 'fade', easing: 'linear' };
+// The sampler step being split into in-betweens: { from, to, frame, index }
+let inbetween = null;
+
+// Gains on groups of components, [{ from, to, gain }], from the page's audio
+// mappings, and offsets in standard deviations, [{ component, value }], from
+// controller knobs. They change the latents that are drawn but not the walk itself.
+let componentGains = [];
+let componentOffsets = [];
+
+// Gallery page shown on the grid instead of the walk (null: off), and the
+// last page rendered: { dataset, page, loadedPCs, HG, WG, rgba }
+let galleryPage = null;
+let galleryFrame = null;
+
+// Grid rows per reconstruction batch, adapted from the measured time per row
+let batchRows = 1;
+let rowTimeAvg = 0;
+
 // Current dataset
 let currentDataset = 'anime1';
+let currentManifest = null;
+let currentBaseUrl = '';
+
+// Extra TF.js backends, imported on first use from the same release as tfjs
+const TFJS_BACKEND_URLS = {
+    webgpu: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgpu@4.11.0/dist/tf-backend-webgpu.min.js',
+    wasm: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.11.0/dist/tf-backend-wasm.min.js'
+};
+const TFJS_WASM_DIR = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.11.0/dist/';
+
+// Tried in this order under 'auto'; 'cpu' is the typed-array backend and always works
+const BACKEND_PRIORITY = ['webgpu', 'webgl', 'wasm', 'cpu'];
+
+// Reconstruction backend (backends.js): 'auto' or a name from BACKEND_PRIORITY
+let backend = null;
+let requestedBackend = 'auto';
+let loadedBackendScripts = new Set();
+let loadedPCs = 0;
+
+// 'gpu': the main thread reconstructs in a shader and gets the basis plus
+// per-frame latents; 'worker': frames are rendered here as RGBA images
+let renderMode = 'worker';
+// Decoded basis kept for resending to the main thread, and rows sent so far
+let basisMu = null;
+let basisEigvecs = null;
+let basisRowsSent = 0;
 
-// PCA control (mutable)
-let k = 0.9;
-let s = 0.9;
-let p = 1.0;
-let num_pc = NUM_PCS;
+// Latent state (walk, mask, keyframes, frozen tiles) lives on the CPU in
+// the shared sampler, so a seed reproduces it on any backend and in tools/
+const sampler = PCASampler.createSampler();
+// Seed for the next (re)seed; the sampler reports the one it is running
+let seed = 0;
+
+// Recent z snapshots by frame, so the main thread can fetch what it is
+// displaying rather than the frames still queued ahead of it
+const Z_HISTORY = BUFFER_SIZE + 2;
+let zHistory = new Map();
+
+// Display on a transferred OffscreenCanvas: frames stay in the worker and are
+// crossfaded and paced here instead of being posted to the page
+let display = null;
 
-let stds, mu, eigvecs, z;
 let slotIdx = 0;
 let isInitialized = false;
+let isGenerating = false;
+let initWaiters = [];
 let queueSpaceAvailable = 0;
 let queueSpaceWaiters = [];
 
-async function loadBinaryFile(url) {
-    const response = await fetch(url);
-    const buffer = await response.arrayBuffer();
-    return new Float32Array(buffer);
+// Main thread's dataset/grid epoch, stamped on outgoing messages
+let epoch = 0;
+// Bumped per load_dataset so a superseded load stops touching tensors
+let loadId = 0;
+let loadAbort = null;
+let backendReady = null;
+
+// Fetch a file of the dataset being loaded; `signal` defaults to the current load's
+async function fetchArrayBuffer(url, signal = loadAbort.signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    return response.arrayBuffer();
+}
+
+async function fetchFloatEntry(name, entry) {
+    const buffer = await fetchArrayBuffer(PCADataset.fileUrl(currentBaseUrl, entry.file));
+    return PCADataset.decodeFile(name, buffer, entry, currentManifest.byte_order);
+}
+
+// Per-component scale/offset of a quantized entry, or null
+async function loadQuantization(name) {
+    const entry = currentManifest.files[name];
+    if (!entry.scale || !entry.offset) return null;
+    
+    const [scale, offset] = await Promise.all([
+        fetchFloatEntry(`${name}.scale`, entry.scale),
+        fetchFloatEntry(`${name}.offset`, entry.offset)
+    ]);
+    return { scale, offset };
+}
+
+// Fetch one of the manifest's files and decode it to float32,
+// dequantizing with its per-component scale/offset when it has them
+async function loadDatasetFile(name) {
+    const entry = currentManifest.files[name];
+    const quant = await loadQuantization(name);
+    const buffer = await fetchArrayBuffer(PCADataset.fileUrl(currentBaseUrl, entry.file));
+    return PCADataset.decodeFile(name, buffer, entry, currentManifest.byte_order, quant);
 }
 
-async function loadInt32File(url) {
-    const response = await fetch(url);
-    const buffer = await response.arrayBuffer();
-    return new Int32Array(buffer);
+// Stream eigvecs.bin, decoding each component as soon as its row is complete.
+// onRows(data, rows) is called whenever more rows of `data` are valid.
+async function streamEigvecs(quant, onRows) {
+    const entry = currentManifest.files.eigvecs;
+    const url = PCADataset.fileUrl(currentBaseUrl, entry.file);
+    const byteOrder = currentManifest.byte_order;
+    const expected = PCADataset.expectedByteLength(entry);
+    const rowBytes = PCADataset.rowByteLength(entry);
+    
+    const response = await fetch(url, { signal: loadAbort.signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    
+    // No streaming support: decode everything at once
+    if (!response.body) {
+        const data = PCADataset.decodeFile('eigvecs', await response.arrayBuffer(), entry, byteOrder, quant);
+        onRows(data, entry.shape[0]);
+        return data;
+    }
+    
+    const data = new Float32Array(PCADataset.product(entry.shape));
+    const bytes = new Uint8Array(expected);
+    const reader = response.body.getReader();
+    let received = 0;
+    let rowsDone = 0;
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        if (received + value.byteLength > expected) {
+            reader.cancel();
+            throw new Error(`${entry.file}: expected ${expected} bytes for eigvecs, got more`);
+        }
+        bytes.set(value, received);
+        received += value.byteLength;
+        
+        const rows = Math.floor(received / rowBytes);
+        if (rows > rowsDone) {
+            PCADataset.decodeRows(bytes, entry, byteOrder, quant, data, rowsDone, rows);
+            rowsDone = rows;
+            onRows(data, rowsDone);
+        }
+    }
+    
+    if (received !== expected) {
+        throw new Error(`${entry.file}: expected ${expected} bytes for eigvecs, got ${received}`);
+    }
+    
+    return data;
+}
+
+// Send mu to whichever display reconstructs on the GPU (the page, or the
+// worker's own offscreen one); components follow in sendBasisRows()
+function sendBasis() {
+    if (renderMode !== 'gpu' || !basisMu) return;
+    basisRowsSent = 0;
+    if (display) {
+        display.renderer.setBasis({
+            mu: basisMu,
+            numPcs: NUM_PCS,
+            height: HP,
+            width: WP,
+            valueRange: [VALUE_MIN, VALUE_MAX]
+        });
+    } else {
+        self.postMessage({
+            type: 'basis',
+            mu: basisMu.slice(),
+            NUM_PCS: NUM_PCS,
+            HP: HP,
+            WP: WP,
+            valueRange: [VALUE_MIN, VALUE_MAX]
+        });
+    }
+    sendBasisRows();
+}
+
+// Components decoded since the last call, copied out of the stream buffer
+function sendBasisRows() {
+    if (renderMode !== 'gpu' || !basisEigvecs || loadedPCs <= basisRowsSent) return;
+    const D = HP * WP * 3;
+    if (display) {
+        display.renderer.addBasisRows(basisEigvecs.subarray(basisRowsSent * D, loadedPCs * D), basisRowsSent, loadedPCs);
+    } else {
+        const data = basisEigvecs.slice(basisRowsSent * D, loadedPCs * D);
+        self.postMessage({ type: 'basis_rows', start: basisRowsSent, rows: loadedPCs, data }, [data.buffer]);
+    }
+    basisRowsSent = loadedPCs;
+}
+
+// Size the offscreen display for the current dataset, grid and render mode.
+// GPU reconstruction falls back to worker images if the basis cannot fit.
+function configureDisplay() {
+    if (!display) return;
+    if (renderMode === 'gpu' && !display.renderer.canReconstruct(NUM_PCS)) {
+        renderMode = 'worker';
+        self.postMessage({ type: 'render_mode', mode: renderMode });
+    }
+    display.renderer.configure({
+        mode: renderMode === 'gpu' ? 'latents' : 'image',
+        HG, WG, HP, WP,
+        numPcs: NUM_PCS,
+        slots: BUFFER_SIZE
+    });
+    resetDisplayLoop();
+}
+
+// Empty the ring; the loop refills it from the next frames generated
+function resetDisplayLoop() {
+    if (!display) return;
+    display.queue = [];
+    display.filled = 0;
+    display.running = false;
+    display.t = 0;
+    display.curr = 0;
+    display.next = 1;
+    // A paused display shows the first frame of the refilled ring
+    if (display.paused) {
+        display.pauseAction = display.pauseAction || 'draw';
+        wakeDisplayLoop();
+    }
+}
+
+function attachCanvas(canvas, steps, paused) {
+    const renderer = PCARenderer.createRenderer(canvas);
+    if (!renderer) {
+        self.postMessage({ type: 'error', data: 'WebGL 2 is not available on the offscreen canvas' });
+        return;
+    }
+    renderer.setTransition(transition);
+    // paused and pauseAction as on the page (setPaused() in app.js); ticking
+    // is whether a displayTick() is scheduled
+    display = {
+        renderer,
+        steps,
+        paused: !!paused,
+        pauseAction: null,
+        ticking: true,
+        queue: [],
+        slotFrames: [],
+        slotSubframes: [],
+        stats: { frames: 0, lastReport: performance.now(), lastFrame: performance.now(), frameTime: 0, workerTime: 0, timings: {}, batches: 0 }
+    };
+    configureDisplay();
+    sendBasis();
+    scheduleDisplayTick();
+}
+
+function detachCanvas() {
+    if (!display) return;
+    display.renderer.dispose();
+    display = null;
+    // The page reconstructs again and needs the basis
+    sendBasis();
+}
+
+function scheduleDisplayTick() {
+    if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(displayTick);
+    } else {
+        setTimeout(displayTick, 1000 / 60);
+    }
+}
+
+// Put a generated frame into its slot: whole while filling, row-chunked after
+function storeDisplayFrame(item, whole) {
+    const renderer = display.renderer;
+    display.slotFrames[item.slot] = item.frame;
+    display.slotSubframes[item.slot] = item.subframes || 1;
+    if (item.z) {
+        renderer.storeLatents(item.slot, new Float32Array(item.z), item.pcs);
+    } else if (whole) {
+        renderer.storeImage(item.slot, new Uint8Array(item.data));
+    } else {
+        renderer.beginUpload(item.slot, new Uint8Array(item.data));
+    }
+    
+    const stats = display.stats;
+    stats.workerTime = stats.workerTime * 0.9 + item.generationTime * 0.1;
+    stats.timings = item.timings || {};
+    stats.batches = item.batches || 0;
+    
+    // The slot is taken; the generation loop may produce another frame
+    releaseQueueSpace();
+}
+
+// Restart displayTick() if pausing stopped it
+function wakeDisplayLoop() {
+    if (display.ticking) return;
+    display.ticking = true;
+    scheduleDisplayTick();
+}
+
+// One display frame, the worker-side counterpart of animate() in app.js
+function displayTick() {
+    if (!display) return;
+    
+    const d = display;
+    if (d.running && d.paused && !d.pauseAction) {
+        d.ticking = false;
+        return;
+    }
+    scheduleDisplayTick();
+    
+    const renderer = d.renderer;
+    // In-betweens split a step, so each transition between them is quicker
+    const dt = (d.slotSubframes[d.next] || 1) / d.steps;
+    
+    // Fill the ring before starting, like fillBuffer() on the page
+    if (!d.running) {
+        while (d.queue.length > 0 && d.filled < BUFFER_SIZE) {
+            storeDisplayFrame(d.queue.shift(), true);
+            d.filled++;
+        }
+        if (d.filled < BUFFER_SIZE) return;
+        d.running = true;
+    }
+    
+    if (renderer.uploading) {
+        renderer.continueUpload(Math.floor((1.0 - d.t) / dt));
+    }
+    
+    if (d.t > 1.0) {
+        // Hold the last image until the next frame has been generated
+        if (d.queue.length === 0) return;
+        renderer.flushUpload();
+        d.t = 0.0;
+        d.curr = (d.curr + 1) % BUFFER_SIZE;
+        d.next = (d.next + 1) % BUFFER_SIZE;
+        storeDisplayFrame(d.queue.shift(), false);
+        // A single step ends on the frame it arrived at
+        if (d.pauseAction === 'step') d.pauseAction = 'draw';
+    }
+    
+    if (d.pauseAction === 'draw') {
+        renderer.flushUpload();
+        renderer.draw(d.curr, d.next, d.t);
+        d.pauseAction = null;
+        // The page needs the frame now for stepping back
+        reportDisplayStats(true);
+        return;
+    }
+    
+    renderer.draw(d.curr, d.next, d.t);
+    d.t += dt;
+    reportDisplayStats();
+}
+
+// FPS and timings for the page's stats bar, once a second unless forced
+function reportDisplayStats(force = false) {
+    const stats = display.stats;
+    const now = performance.now();
+    stats.frames++;
+    stats.frameTime = stats.frameTime * 0.9 + (now - stats.lastFrame) * 0.1;
+    stats.lastFrame = now;
+    
+    const elapsed = now - stats.lastReport;
+    if (elapsed < 1000 && !force) return;
+    self.postMessage({
+        type: 'display_stats',
+        fps: Math.round(stats.frames * 1000 / elapsed),
+        frameTime: stats.frameTime,
+        workerTime: stats.workerTime,
+        timings: stats.timings,
+        batches: stats.batches,
+        frame: display.slotFrames[display.curr] || 0
+    });
+    stats.frames = 0;
+    stats.lastReport = now;
+}
+
+// Rebuild the eigvecs tensor from the first `rows` streamed components
+function setLoadedComponents(data, rows) {
+    backend.setComponents(data, rows);
+    loadedPCs = rows;
+    basisEigvecs = data;
+    
+    // The rows must reach the main thread before the frames that use them
+    sendBasisRows();
+    
+    if (!isInitialized) {
+        isInitialized = true;
+        console.log(`Generation starting with ${rows}/${NUM_PCS} components`);
+        self.postMessage({ type: 'ready', epoch });
+        
+        const waiters = initWaiters;
+        initWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+function waitForInit() {
+    return new Promise((resolve) => initWaiters.push(resolve));
+}
+
+// Release the current dataset's tensors; generation pauses until the next one is ready
+function disposeDataset() {
+    isInitialized = false;
+    if (backend) backend.dispose();
+    sampler.setBasis(null);
+    zHistory.clear();
+    loadedPCs = 0;
+    basisMu = basisEigvecs = null;
+    basisRowsSent = 0;
+    galleryFrame = null;
+}
+
+// Start a new epoch: frames in flight are dropped and the send window reopens
+function resetBackpressure(newEpoch) {
+    epoch = newEpoch;
+    inbetween = null;
+    slotIdx = 0;
+    queueSpaceAvailable = BUFFER_SIZE;
+    resetDisplayLoop();
+    
+    const waiters = queueSpaceWaiters;
+    queueSpaceWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+// One more frame may be sent: wake the generation loop or bank the token
+function releaseQueueSpace() {
+    if (queueSpaceWaiters.length > 0) {
+        const resolve = queueSpaceWaiters.shift();
+        resolve();
+    } else {
+        queueSpaceAvailable++;
+    }
+}
+
+// Restart the random sequence from `seed`, then advance to `frame`
+function seedLatents(frame) {
+    sampler.reseed(seed, frame);
+    zHistory.clear();
+    extraBases.forEach((extra, id) => {
+        extra.sampler.reseed(PCARandom.deriveSeed(seed, id), frame);
+        extra.prevZ = extra.sampler.z.slice();
+    });
+}
+
+// Keep the extra bases' latents on the current grid
+function setExtraGrid() {
+    extraBases.forEach(extra => {
+        extra.sampler.setGrid(HG, WG);
+        extra.prevZ = extra.sampler.z.slice();
+    });
+}
+
+// Apply slider values sent by the main thread
+function setParams(params) {
+    const values = Object.assign({}, params);
+    sampler.setParams(values);
+    extraBases.forEach(extra => extra.sampler.setParams(values));
+}
+
+// Switch the walk's process (dynamics.js) for every basis
+function setDynamics(name) {
+    sampler.setDynamics(name);
+    extraBases.forEach(extra => {
+        extra.sampler.setDynamics(name);
+        extra.prevZ = extra.sampler.z.slice();
+    });
+}
+
+// Dataset each tile is drawn from: the most specific override naming one
+// (tile, then row, then column), else null for the current dataset
+function tileDatasets() {
+    const order = ['col', 'row', 'tile'];
+    const sorted = tileOverrides.filter(o => o.dataset && o.dataset !== currentDataset)
+        .sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope));
+    const assigned = new Array(HG * WG).fill(null);
+    for (const o of sorted) {
+        for (let i = 0; i < HG * WG; i++) {
+            const hit = o.scope === 'tile' ? o.index === i
+                : o.scope === 'row' ? o.index === Math.floor(i / WG) : o.index === i % WG;
+            if (hit) assigned[i] = o.dataset;
+        }
+    }
+    return assigned;
+}
+
+// Tiles per loaded extra dataset, for the datasets some tile uses
+function extraTileGroups() {
+    const groups = new Map();
+    tileDatasets().forEach((id, tile) => {
+        if (!id || !extraBases.has(id)) return;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(tile);
+    });
+    return groups;
+}
+
+// Fetch and decode a whole basis (no streaming; it is not on screen until complete)
+async function loadBasisFiles(manifest, baseUrl) {
+    PCADataset.validateManifest(manifest);
+    const decode = async (name, entry, quant) => {
+        const buffer = await fetchArrayBuffer(PCADataset.fileUrl(baseUrl, entry.file), null);
+        return PCADataset.decodeFile(name, buffer, entry, manifest.byte_order, quant);
+    };
+    const load = async (name) => {
+        const entry = manifest.files[name];
+        const quant = entry.scale && entry.offset
+            ? { scale: await decode(`${name}.scale`, entry.scale), offset: await decode(`${name}.offset`, entry.offset) }
+            : null;
+        return decode(name, entry, quant);
+    };
+    const [stds, mu, eigvecs] = await Promise.all([load('stds'), load('mu'), load('eigvecs')]);
+    return { stds, mu, eigvecs };
+}
+
+// Apply the page's overrides, loading any dataset they name that is not held
+// yet and dropping the ones no longer named. `datasets` maps ids to
+// { manifest, baseUrl }. Extra bases use the typed-array backend so they do
+// not depend on, or get disposed with, the current TF.js backend.
+async function setTileOverrides(overrides, datasets) {
+    tileOverrides = overrides;
+    sampler.setOverrides(overrides);
+    
+    const wanted = new Set(overrides.map(o => o.dataset).filter(id => id && id !== currentDataset));
+    for (const [id, extra] of extraBases) {
+        if (!wanted.has(id)) {
+            extra.backend.dispose();
+            extraBases.delete(id);
+        }
+    }
+    extraBases.forEach(extra => extra.sampler.setOverrides(overrides));
+    
+    for (const id of wanted) {
+        if (extraBases.has(id)) continue;
+        if (!datasets[id]) throw new Error(`Unknown dataset ${id}`);
+        
+        const { manifest, baseUrl } = datasets[id];
+        console.log(`Loading ${id} for a mixed grid`);
+        const files = await loadBasisFiles(manifest, baseUrl);
+        
+        const backend = PCABackends.createCpuBackend();
+        backend.setBasis(files.mu, manifest.height, manifest.width, manifest.value_range);
+        backend.setComponents(files.eigvecs, manifest.num_components);
+        
+        const extraSampler = PCASampler.createSampler();
+        extraSampler.setBasis(files.stds);
+        extraSampler.setGrid(HG, WG);
+        extraSampler.setParams(sampler.params);
+        extraSampler.setDynamics(sampler.dynamics);
+        extraSampler.setOverrides(tileOverrides);
+        extraSampler.reseed(PCARandom.deriveSeed(seed, id), sampler.frame);
+        
+        extraBases.set(id, { manifest, backend, sampler: extraSampler, prevZ: extraSampler.z.slice() });
+    }
 }
 
 function waitToSend() {
@@ -52,20 +621,25 @@ function waitToSend() {
     });
 }
 
-async function loadDatasetParams(dataset) {
+function loadDatasetParams(dataset, manifest, baseUrl) {
     try {
-        console.log(`Loading params for dataset: ${dataset}`);
-        const params = await loadInt32File(`data/${dataset}/params.bin`);
+        console.log(`Loading manifest for dataset: ${dataset}`);
+        PCADataset.validateManifest(manifest);
         
-        NUM_PCS = params[0];
-        HP = params[1];
-        WP = params[2];
+        currentManifest = manifest;
+        currentBaseUrl = baseUrl;
+        NUM_PCS = manifest.num_components;
+        HP = manifest.height;
+        WP = manifest.width;
+        VALUE_MIN = manifest.value_range[0];
+        VALUE_MAX = manifest.value_range[1];
         
         console.log(`Loaded params: NUM_PCS=${NUM_PCS}, HP=${HP}, WP=${WP}`);
         
         // Notify main thread of new params
         self.postMessage({
             type: 'params_loaded',
+            epoch: epoch,
             NUM_PCS: NUM_PCS,
             HP: HP,
             WP: WP
@@ -73,144 +647,493 @@ async function loadDatasetParams(dataset) {
         
         return true;
     } catch (err) {
-        console.error('Error loading params:', err);
+        console.error('Error loading manifest:', err);
+        self.postMessage({ type: 'error', data: err.message });
         return false;
     }
 }
 
-async function init() {
-    console.log('Initializing TensorFlow.js...');
+// Set up the backend on first use; it survives dataset switches
+function initBackend() {
+    if (!backendReady) {
+        backendReady = switchBackend(requestedBackend);
+    }
+    return backendReady;
+}
+
+// Replace the backend, moving the loaded basis over, then dispose the old one.
+// tf ops are dispatched synchronously, so a frame in flight is not affected.
+async function switchBackend(choice) {
+    const selected = await selectBackend(choice);
+    if (basisMu) {
+        selected.setBasis(basisMu, HP, WP, [VALUE_MIN, VALUE_MAX]);
+        if (basisEigvecs && loadedPCs > 0) {
+            selected.setComponents(basisEigvecs, loadedPCs);
+        }
+    }
+    
+    const old = backend;
+    backend = selected;
+    if (old) old.dispose();
+    resetBatching();
+    
+    console.log(`Generation backend: ${backend.name} (requested ${choice})`);
+    self.postMessage({ type: 'backend', name: backend.name, requested: choice });
+}
+
+// First usable backend: an explicit choice first, then the priority order
+async function selectBackend(choice) {
+    const order = choice === 'auto'
+        ? BACKEND_PRIORITY
+        : [choice].concat(BACKEND_PRIORITY.filter(name => name !== choice));
+    
+    for (const name of order) {
+        if (name === 'cpu') {
+            return PCABackends.createCpuBackend();
+        }
+        if (await tryTfBackend(name)) {
+            console.log(`TensorFlow.js ready with backend: ${name}`);
+            return PCABackends.createTfBackend(tf);
+        }
+    }
+}
+
+// Probe a TF.js backend and make it the active one; false if it cannot run here
+async function tryTfBackend(name) {
+    if (typeof tf === 'undefined') return false;
     
     try {
-        if (typeof OffscreenCanvas !== 'undefined') {
-            const canvas = new OffscreenCanvas(1, 1);
-            const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
-            
-            if (gl) {
-                await tf.setBackend('webgl');
-                await tf.ready();
-                console.log('TensorFlow.js ready with backend: webgl');
-            } else {
-                await tf.setBackend('cpu');
-                await tf.ready();
-                console.log('TensorFlow.js ready with backend: cpu');
+        switch (name) {
+            case 'webgpu':
+                if (!self.navigator || !navigator.gpu || !(await navigator.gpu.requestAdapter())) {
+                    return false;
+                }
+                loadBackendScript('webgpu');
+                break;
+                
+            case 'webgl': {
+                if (typeof OffscreenCanvas === 'undefined') return false;
+                const canvas = new OffscreenCanvas(1, 1);
+                if (!canvas.getContext('webgl2') && !canvas.getContext('webgl')) return false;
+                break;
             }
-        } else {
-            await tf.setBackend('cpu');
-            await tf.ready();
-            console.log('TensorFlow.js ready with backend: cpu');
+                
+            case 'wasm':
+                if (typeof WebAssembly === 'undefined') return false;
+                if (loadBackendScript('wasm')) {
+                    tf.wasm.setWasmPaths(TFJS_WASM_DIR);
+                }
+                break;
         }
         
+        if (!(await tf.setBackend(name))) return false;
+        await tf.ready();
+        return true;
+    } catch (err) {
+        console.warn(`TensorFlow.js ${name} backend unavailable:`, err.message);
+        return false;
+    }
+}
+
+// importScripts() a backend package once; true on the first load
+function loadBackendScript(name) {
+    if (loadedBackendScripts.has(name)) return false;
+    importScripts(TFJS_BACKEND_URLS[name]);
+    loadedBackendScripts.add(name);
+    return true;
+}
+
+// Load the current manifest's files; `myLoad` is the loadId this call belongs to.
+// z is seeded from `seed` and advanced to `startFrame` once stds are known.
+async function init(myLoad, startFrame) {
+    try {
+        await initBackend();
+        
         console.log('Loading data files...');
         
-        const [stds_data, mu_data, eigvecs_data] = await Promise.all([
-            loadBinaryFile(`data/${currentDataset}/stds.bin`),
-            loadBinaryFile(`data/${currentDataset}/mu.bin`),
-            loadBinaryFile(`data/${currentDataset}/eigvecs.bin`)
+        // Byte lengths are checked against the manifest while decoding
+        const [stds_data, mu_data, quant] = await Promise.all([
+            loadDatasetFile('stds'),
+            loadDatasetFile('mu'),
+            loadQuantization('eigvecs')
         ]);
+        if (myLoad !== loadId) return;
 
-        // Dispose old tensors if they exist
-        if (stds) stds.dispose();
-        if (mu) mu.dispose();
-        if (eigvecs) eigvecs.dispose();
-        if (z) z.dispose();
-
-        stds = tf.tensor1d(stds_data);
-        mu = tf.tensor1d(mu_data);
-        eigvecs = tf.tensor2d(eigvecs_data, [NUM_PCS, HP * WP * 3]);
+        backend.setBasis(mu_data, HP, WP, [VALUE_MIN, VALUE_MAX]);
+        sampler.setBasis(stds_data);
+        loadedPCs = 0;
+        basisMu = mu_data;
+        sendBasis();
+        
+        // The variance spectrum for the num_pc slider and the gallery
+        self.postMessage({ type: 'spectrum', stds: stds_data.slice(), epoch });
 
-        // Initialize z for AR(1) process
-        z = tf.mul(tf.randomNormal([HG * WG, NUM_PCS]), stds);
+        // Initialize z for the walk
+        seedLatents(startFrame);
 
-        // Reset num_pc if it exceeds NUM_PCS
-        if (num_pc > NUM_PCS) {
-            num_pc = NUM_PCS;
-        }
+        // Components are ordered by variance, so a low-rank preview can start
+        // as soon as the first few rows arrive
+        let lastUpdate = -Infinity;
+        await streamEigvecs(quant, (data, rows) => {
+            if (myLoad !== loadId) return;
+            
+            const now = performance.now();
+            if (rows < NUM_PCS && now - lastUpdate < STREAM_UPDATE_MS) return;
+            lastUpdate = now;
+            
+            self.postMessage({ type: 'load_progress', loaded: rows, total: NUM_PCS, epoch });
+            if (rows >= Math.min(MIN_PREVIEW_PCS, NUM_PCS)) {
+                setLoadedComponents(data, rows);
+            }
+        });
 
-        isInitialized = true;
         console.log(`Data loaded successfully! Dataset: ${currentDataset}, Grid: ${HG}x${WG}`);
-        
-        self.postMessage({ type: 'ready' });
     } catch (err) {
+        // A superseded load is aborted on purpose
+        if (myLoad !== loadId) return;
         console.error('Initialization error:', err);
         self.postMessage({ type: 'error', data: err.message });
     }
 }
 
+// Interleave RGB pixel data into opaque RGBA, optionally at pixel `offset` of `out`
+function packRGBA(data, pixels, out = new Uint8ClampedArray(pixels * 4), offset = 0) {
+    for (let i = 0; i < pixels; i++) {
+        const o = (offset + i) * 4;
+        out[o] = data[i * 3];
+        out[o + 1] = data[i * 3 + 1];
+        out[o + 2] = data[i * 3 + 2];
+        out[o + 3] = 255;
+    }
+    return out;
+}
+
+// Draw an RGB tile of h x w into grid cell `tile` of the RGBA frame, scaled
+// (nearest) to fit the HP x WP cell with its aspect ratio kept, centered on black
+function placeTile(rgb, h, w, rgba, tile) {
+    const rowPixels = WG * WP;
+    const cellY = Math.floor(tile / WG) * HP;
+    const cellX = (tile % WG) * WP;
+    const scale = Math.min(HP / h, WP / w);
+    const dh = Math.max(1, Math.round(h * scale));
+    const dw = Math.max(1, Math.round(w * scale));
+    const top = Math.floor((HP - dh) / 2);
+    const left = Math.floor((WP - dw) / 2);
+    
+    for (let y = 0; y < HP; y++) {
+        const sy = Math.floor((y - top) / scale);
+        for (let x = 0; x < WP; x++) {
+            const o = ((cellY + y) * rowPixels + cellX + x) * 4;
+            const sx = Math.floor((x - left) / scale);
+            const inside = y >= top && y < top + dh && x >= left && x < left + dw;
+            const i = (Math.min(sy, h - 1) * w + Math.min(sx, w - 1)) * 3;
+            rgba[o] = inside ? rgb[i] : 0;
+            rgba[o + 1] = inside ? rgb[i + 1] : 0;
+            rgba[o + 2] = inside ? rgb[i + 2] : 0;
+            rgba[o + 3] = 255;
+        }
+    }
+}
+
+// Reconstruct the tiles assigned to other datasets and place them in the frame.
+// u is the in-between position between each basis' previous and current latents.
+// Returns whether any tile was drawn. A dataset that fails is dropped from the
+// grid, and its tiles fall back to the primary dataset, which keeps generating.
+async function renderExtraTiles(rgba, u) {
+    const groups = extraTileGroups();
+    for (const [id, tiles] of groups) {
+        const extra = extraBases.get(id);
+        try {
+            const K = extra.sampler.NUM_PCS;
+            const current = extra.sampler.truncateComponents(extra.sampler.z.slice());
+            const previous = extra.sampler.truncateComponents(extra.prevZ.slice());
+            
+            const z = new Float32Array(tiles.length * K);
+            tiles.forEach((tile, n) => {
+                for (let j = 0; j < K; j++) {
+                    const a = previous[tile * K + j];
+                    z[n * K + j] = a + (current[tile * K + j] - a) * u;
+                }
+            });
+            
+            const { height, width } = extra.manifest;
+            const data = await extra.backend.renderGrid(z, tiles.length, 1, K, extra.sampler.activeComponents());
+            const tileSize = height * width * 3;
+            tiles.forEach((tile, n) => placeTile(data.subarray(n * tileSize, (n + 1) * tileSize), height, width, rgba, tile));
+        } catch (err) {
+            console.error(`Mixed grid error for ${id}:`, err);
+            self.postMessage({ type: 'error', data: `${id} was removed from the mixed grid: ${err.message}` });
+            extra.backend.dispose();
+            extraBases.delete(id);
+        }
+    }
+    return groups.size > 0;
+}
+
+// Forget the batch size measured for the previous grid or backend
+function resetBatching() {
+    batchRows = 1;
+    rowTimeAvg = 0;
+}
+
+// Size the next batch so it fits BATCH_BUDGET_MS, from this one's time per grid row
+function adaptBatchRows(rows, elapsed) {
+    const rowTime = elapsed / rows;
+    rowTimeAvg = rowTimeAvg ? rowTimeAvg * 0.7 + rowTime * 0.3 : rowTime;
+    batchRows = Math.max(1, Math.min(HG, Math.floor(BATCH_BUDGET_MS / rowTimeAvg)));
+}
+
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Reconstruct a single HP x WP tile from one latent row, as RGBA
+async function renderTile(zRow, maxPCs = sampler.activeComponents()) {
+    const data = await backend.renderGrid(zRow, 1, 1, NUM_PCS, Math.min(maxPCs, loadedPCs));
+    return packRGBA(data, HP * WP);
+}
+
+// Coefficients of one HP x WP RGB image (0..255) in the basis: (x - mu) @ eigvecs^T
+async function projectImage(pixels) {
+    const data = await backend.project(pixels);
+    
+    // Components that have not streamed in yet stay at zero
+    const zRow = new Float32Array(NUM_PCS);
+    zRow.set(data);
+    return zRow;
+}
+
+// The gallery page as a grid frame: tile n shows image page * HG * WG + n,
+// where 0 is mu and i is component i; tiles past the loaded ones stay dark.
+// The page is rendered once and copied until it or the basis changes.
+async function renderGalleryFrame() {
+    const perPage = HG * WG;
+    const page = Math.min(galleryPage, Math.floor(NUM_PCS / perPage));
+    const cached = galleryFrame;
+    if (cached && cached.dataset === currentDataset && cached.page === page &&
+        cached.loadedPCs === loadedPCs && cached.HG === HG && cached.WG === WG) {
+        return cached.rgba.slice();
+    }
+    
+    const rgba = new Uint8ClampedArray(HG * HP * WG * WP * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba.fill(26, i, i + 3);
+        rgba[i + 3] = 255;
+    }
+    
+    const rowBytes = WP * 4;
+    const start = page * perPage;
+    const end = Math.min(start + perPage, loadedPCs + 1);
+    for (let index = start; index < end; index++) {
+        const tile = packRGBA(await backend.renderComponent(index), HP * WP);
+        const row = Math.floor((index - start) / WG);
+        const col = (index - start) % WG;
+        for (let y = 0; y < HP; y++) {
+            const at = ((row * HP + y) * WG * WP + col * WP) * 4;
+            rgba.set(tile.subarray(y * rowBytes, (y + 1) * rowBytes), at);
+        }
+    }
+    
+    galleryFrame = { dataset: currentDataset, page, loadedPCs, HG, WG, rgba };
+    return rgba.slice();
+}
+
+// Advance the sampler one step and remember the latents for get_latents
+function stepSampler() {
+    const frame = sampler.next();
+    zHistory.set(frame, sampler.z.slice());
+    zHistory.delete(frame - Z_HISTORY);
+    
+    // Only the datasets on screen need to move
+    for (const id of extraTileGroups().keys()) {
+        const extra = extraBases.get(id);
+        extra.prevZ = extra.sampler.z.slice();
+        extra.sampler.next();
+    }
+    return frame;
+}
+
+// Scale components [from, to) of every tile's latents by their group's gain,
+// then shift single components by their offsets
+function applyComponentControls(z) {
+    for (const { from, to, gain } of componentGains) {
+        const end = Math.min(to, NUM_PCS);
+        for (let t = 0; t < HG * WG; t++) {
+            for (let j = Math.max(0, from); j < end; j++) {
+                z[t * NUM_PCS + j] *= gain;
+            }
+        }
+    }
+    for (const { component, value } of componentOffsets) {
+        if (component < 0 || component >= NUM_PCS) continue;
+        const shift = value * sampler.stds[component];
+        for (let t = 0; t < HG * WG; t++) {
+            z[t * NUM_PCS + component] += shift;
+        }
+    }
+    return z;
+}
+
+// Latents for the next frame, a copy. With 'latent' transitions and worker
+// rendering each sampler step becomes INBETWEENS frames along the eased line
+// from the previous state, the last of them the step itself; the earlier ones
+// carry the previous frame number. The GPU path mixes latents on its own.
+function nextLatents() {
+    if (transition.style !== 'latent' || renderMode !== 'worker') {
+        inbetween = null;
+        const frame = stepSampler();
+        return { z: applyComponentControls(sampler.truncateComponents(sampler.z.slice())), frame, subframes: 1, u: 1 };
+    }
+    
+    const count = PCATransitions.INBETWEENS;
+    if (!inbetween || inbetween.index >= count) {
+        const from = sampler.z.slice();
+        const frame = stepSampler();
+        inbetween = { from, to: sampler.z.slice(), frame, index: 0 };
+    }
+    
+    inbetween.index++;
+    const u = PCATransitions.ease(transition.easing, inbetween.index / count);
+    const z = PCATransitions.interpolateLatents(inbetween.from, inbetween.to, u, new Float32Array(inbetween.to.length));
+    const frame = inbetween.index < count ? inbetween.frame - 1 : inbetween.frame;
+    return { z: applyComponentControls(sampler.truncateComponents(z)), frame, subframes: count, u };
+}
+
 async function generateImage() {
     if (!isInitialized) return null;
     
     const startTime = performance.now();
     
     try {
-        const result = tf.tidy(() => {
-            const indices = tf.range(0, NUM_PCS, 1, 'float32');
-
-            let mask = tf.cast(tf.less(tf.randomUniform([HG * WG, NUM_PCS]), p), 'float32');
-            mask = tf.mul(mask, tf.cast(tf.less(indices, num_pc), 'float32'));
-            
-            const noise = tf.randomNormal([HG * WG, NUM_PCS]);
-            const update = tf.mul(
-                tf.mul(tf.sqrt(1 - k * k), s),
-                tf.mul(tf.mul(mask, noise), stds)
-            );
-            
-            const oldZ = z;
-            z = tf.add(tf.mul(k, z), update);
-            tf.keep(z);
-            oldZ.dispose();
-
-            const z_slice = tf.slice(z, [0, 0], [HG * WG, num_pc]);
-            const eigvecs_slice = tf.slice(eigvecs, [0, 0], [num_pc, HP * WP * 3]);
-            
-            let x = tf.add(mu, tf.matMul(z_slice, eigvecs_slice));
-            x = tf.reshape(x, [HG, WG, HP, WP, 3]);
-            x = tf.transpose(x, [0, 2, 1, 3, 4]);
-            x = tf.reshape(x, [HG * HP, WG * WP, 3]);
-            x = tf.clipByValue(x, 0.0, 255.0);
-            x = tf.cast(x, 'int32');
-
-            return x;
-        });
+        // The gallery holds the walk where it is
+        if (galleryPage !== null && renderMode === 'worker') {
+            const frameEpoch = epoch;
+            const rgbaData = await renderGalleryFrame();
+            if (frameEpoch !== epoch || !isInitialized) return null;
+            const generationTime = performance.now() - startTime;
+            return { data: rgbaData.buffer, frame: sampler.frame, subframes: 1, generationTime,
+                timings: { reconstruct: generationTime }, batches: 1 };
+        }
+        
+        const { z, frame, subframes, u } = nextLatents();
+        const sampledTime = performance.now();
         
-        const data = await result.data();
-        result.dispose();
+        // Only the components streamed in so far can be used
+        const pcs = Math.min(sampler.activeComponents(), loadedPCs);
         
-        const rgbaData = new Uint8ClampedArray(HG * HP * WG * WP * 4);
-        for (let i = 0; i < HG * HP * WG * WP; i++) {
-            rgbaData[i * 4] = data[i * 3];
-            rgbaData[i * 4 + 1] = data[i * 3 + 1];
-            rgbaData[i * 4 + 2] = data[i * 3 + 2];
-            rgbaData[i * 4 + 3] = 255;
+        // The main thread's shader does the reconstruction
+        if (renderMode === 'gpu') {
+            const generationTime = performance.now() - startTime;
+            return { z: z.buffer, pcs, frame, subframes, generationTime, timings: { sample: sampledTime - startTime } };
         }
         
-        const generationTime = performance.now() - startTime;
+        // Reconstruct a block of grid rows at a time, yielding in between so
+        // messages (new grid, reseed, display ticks) are not held up by a large grid.
+        // Each block is a contiguous band of the final image.
+        const frameEpoch = epoch;
+        const rowPixels = HP * WG * WP;
+        const rgbaData = new Uint8ClampedArray(HG * rowPixels * 4);
+        let reconstructTime = 0;
+        let packTime = 0;
+        let batches = 0;
         
-        const currentSlot = slotIdx;
-        slotIdx = (slotIdx + 1) % BUFFER_SIZE;
+        for (let row = 0; row < HG; ) {
+            if (batches > 0) {
+                await yieldToMessages();
+                if (frameEpoch !== epoch || !isInitialized) return null;
+            }
+            
+            const rows = Math.min(batchRows, HG - row);
+            const batchStart = performance.now();
+            const data = await backend.renderGrid(z.subarray(row * WG * NUM_PCS, (row + rows) * WG * NUM_PCS),
+                rows, WG, NUM_PCS, pcs);
+            const batchTime = performance.now() - batchStart;
+            reconstructTime += batchTime;
+            adaptBatchRows(rows, batchTime);
+            
+            const packStart = performance.now();
+            packRGBA(data, rows * rowPixels, rgbaData, row * rowPixels);
+            packTime += performance.now() - packStart;
+            
+            row += rows;
+            batches++;
+        }
         
-        return { slotIdx: currentSlot, data: rgbaData.buffer, generationTime };
+        // Mixed grids: tiles from other datasets go over the primary ones
+        const mixStart = performance.now();
+        const mixed = await renderExtraTiles(rgbaData, u);
+        if (frameEpoch !== epoch || !isInitialized) return null;
+        
+        const generationTime = performance.now() - startTime;
+        const timings = {
+            sample: sampledTime - startTime,
+            reconstruct: reconstructTime,
+            pack: packTime
+        };
+        if (mixed) timings.mix = performance.now() - mixStart;
+        
+        return { data: rgbaData.buffer, frame, subframes, generationTime, timings, batches };
     } catch (err) {
         console.error('Generation error:', err);
         self.postMessage({ type: 'error', data: err.message });
+        // Stop until the next dataset load instead of repeating the error every frame
+        isInitialized = false;
         return null;
     }
 }
 
 async function continuousGenerate() {
     while (true) {
+        if (!isInitialized) {
+            await waitForInit();
+            continue;
+        }
+        
+        const frameEpoch = epoch;
         const result = await generateImage();
         
-        if (result) {
-            await waitToSend();
-            
+        // Drop frames whose dataset or grid was replaced meanwhile
+        if (!result || frameEpoch !== epoch) continue;
+        
+        await waitToSend();
+        if (frameEpoch !== epoch) continue;
+        
+        // Slots are assigned at send time so a new epoch always starts at slot 0
+        const currentSlot = slotIdx;
+        slotIdx = (slotIdx + 1) % BUFFER_SIZE;
+        
+        // An offscreen display takes frames directly
+        if (display) {
+            display.queue.push(Object.assign({ slot: currentSlot }, result));
+            continue;
+        }
+        
+        if (result.z) {
             self.postMessage({
-                type: 'image',
-                slotIdx: result.slotIdx,
-                data: result.data,
-                generationTime: result.generationTime
-            }, [result.data]);
+                type: 'latents_frame',
+                epoch: frameEpoch,
+                slotIdx: currentSlot,
+                frame: result.frame,
+                subframes: result.subframes,
+                z: result.z,
+                pcs: result.pcs,
+                generationTime: result.generationTime,
+                timings: result.timings
+            }, [result.z]);
+            continue;
         }
+        
+        self.postMessage({
+            type: 'image',
+            epoch: frameEpoch,
+            slotIdx: currentSlot,
+            frame: result.frame,
+            subframes: result.subframes,
+            data: result.data,
+            generationTime: result.generationTime,
+            timings: result.timings,
+            batches: result.batches
+        }, [result.data]);
     }
 }
 
@@ -218,57 +1141,321 @@ self.onmessage = async function(e) {
     const { type } = e.data;
     
     switch(type) {
-        case 'load_dataset':
+        case 'load_dataset': {
             currentDataset = e.data.dataset;
-            isInitialized = false;
             
-            // Load params first
-            const paramsLoaded = await loadDatasetParams(currentDataset);
-            if (paramsLoaded) {
-                // Don't init yet, wait for grid size from main thread
+            // Cancel any load still in flight and free the old basis in place
+            loadId++;
+            if (loadAbort) loadAbort.abort();
+            loadAbort = new AbortController();
+            disposeDataset();
+            resetBackpressure(e.data.epoch);
+            // The gallery starts over at the new dataset's mean
+            if (galleryPage !== null) galleryPage = 0;
+            
+            HG = e.data.HG;
+            WG = e.data.WG;
+            sampler.setGrid(HG, WG);
+            setExtraGrid();
+            resetBatching();
+            seed = e.data.seed;
+            renderMode = e.data.renderMode || 'worker';
+            
+            if (loadDatasetParams(currentDataset, e.data.manifest, e.data.baseUrl)) {
+                g_tex_H = HP * HG;
+                g_tex_W = WP * WG;
+                if (display) display.renderer.clearBasis();
+                configureDisplay();
+                setParams(e.data.params);
+                init(loadId, e.data.frame || 0);
             }
             break;
+        }
+            
+        case 'set_grid': {
+            resetBackpressure(e.data.epoch);
             
-        case 'set_grid':
             HG = e.data.HG;
             WG = e.data.WG;
             g_tex_H = HP * HG;
             g_tex_W = WP * WG;
+            resetBatching();
             console.log(`Worker grid set to ${HG}x${WG}`);
+            configureDisplay();
+            
+            // Before the basis has loaded this only records the size
+            sampler.setGrid(HG, WG);
+            setExtraGrid();
+            zHistory.clear();
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
+            }
+            break;
+        }
+            
+        case 'set_backend':
+            requestedBackend = e.data.backend;
+            // Runs after any selection still in progress
+            backendReady = (backendReady || Promise.resolve()).then(() => switchBackend(requestedBackend));
+            break;
+            
+        case 'set_overrides': {
+            // Runs after any override change still loading its datasets
+            const applied = (overridesReady || Promise.resolve()).then(() => setTileOverrides(e.data.overrides, e.data.datasets));
+            overridesReady = applied.catch(() => {});
+            applied.then(() => {
+                self.postMessage({ type: 'overrides_set', requestId: e.data.requestId, loaded: Array.from(extraBases.keys()) });
+            }).catch(err => {
+                console.error('Override error:', err);
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: err.message });
+            });
+            break;
+        }
+            
+        case 'set_transition':
+            transition = e.data.transition;
+            if (display) display.renderer.setTransition(transition);
+            break;
+            
+        case 'set_render_mode':
+            resetBackpressure(e.data.epoch);
+            renderMode = e.data.mode;
+            console.log(`Render mode: ${renderMode}`);
+            configureDisplay();
+            
+            // Everything loaded so far goes to the main thread again
+            sendBasis();
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
+            }
+            break;
             
-            // Now initialize with the dataset
+        case 'set_gallery':
+            resetBackpressure(e.data.epoch);
+            galleryPage = e.data.page;
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
+            }
+            console.log(galleryPage === null ? 'Gallery off' : `Gallery page ${galleryPage}`);
+            break;
+            
+        case 'reseed':
+            resetBackpressure(e.data.epoch);
+            seed = e.data.seed;
+            
+            // A load in progress seeds z with the new value by itself
+            if (isInitialized) {
+                seedLatents(e.data.frame || 0);
+                self.postMessage({ type: 'ready', epoch });
+            }
+            console.log(`Seed set to ${seed}`);
+            break;
+            
+        case 'get_latents': {
+            if (!sampler.z) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: 'No dataset loaded' });
+                break;
+            }
+            const exact = zHistory.has(e.data.frame);
+            const snapshot = exact ? zHistory.get(e.data.frame).slice() : sampler.z.slice();
+            self.postMessage({
+                type: 'latents',
+                requestId: e.data.requestId,
+                dataset: currentDataset,
+                NUM_PCS: NUM_PCS,
+                HG: HG,
+                WG: WG,
+                seed: sampler.seed,
+                frame: exact ? e.data.frame : sampler.frame,
+                z: snapshot
+            }, [snapshot.buffer]);
+            break;
+        }
+            
+        case 'set_latents': {
+            resetBackpressure(e.data.epoch);
+            
+            const src = e.data.z;
             if (!isInitialized) {
-                await init();
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: 'No dataset loaded' });
+            } else if (!(e.data.HG > 0 && e.data.WG > 0)) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: `Latents grid ${e.data.HG}x${e.data.WG} is empty` });
+            } else if (e.data.NUM_PCS !== NUM_PCS || src.length !== e.data.HG * e.data.WG * NUM_PCS) {
+                self.postMessage({
+                    type: 'error',
+                    requestId: e.data.requestId,
+                    data: `Latents have ${e.data.NUM_PCS} components, dataset ${currentDataset} has ${NUM_PCS}`
+                });
             } else {
-                // Just update z if already initialized
-                if (z) {
-                    z.dispose();
-                    z = tf.mul(tf.randomNormal([HG * WG, NUM_PCS]), stds);
-                    tf.keep(z);
+                sampler.remap(src, e.data.HG, e.data.WG);
+                zHistory.clear();
+                console.log(`Latents imported from a ${e.data.HG}x${e.data.WG} grid`);
+                self.postMessage({ type: 'latents_set', requestId: e.data.requestId });
+            }
+            
+            // The main thread started a new epoch either way
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
+            }
+            break;
+        }
+            
+        case 'freeze_tile':
+            sampler.setFrozen(e.data.tile, e.data.frozen);
+            break;
+            
+        case 'get_tile': {
+            if (!isInitialized || e.data.tile >= HG * WG) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: 'No such tile' });
+                break;
+            }
+            self.postMessage({
+                type: 'tile_latent',
+                requestId: e.data.requestId,
+                z: sampler.tileRow(e.data.tile).slice(),
+                stds: sampler.stds.slice()
+            });
+            break;
+        }
+            
+        case 'set_tile_latent':
+            if (isInitialized && e.data.tile < HG * WG && e.data.z.length === NUM_PCS) {
+                sampler.tileRow(e.data.tile).set(e.data.z);
+            }
+            break;
+            
+        case 'render_tile': {
+            if (!isInitialized) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: 'No dataset loaded' });
+                break;
+            }
+            try {
+                if (!e.data.z && !(e.data.tile >= 0 && e.data.tile < HG * WG)) {
+                    throw new Error(`No tile ${e.data.tile} in a ${HG}x${WG} grid`);
                 }
+                const zRow = e.data.z || sampler.tileRow(e.data.tile);
+                const rgba = await renderTile(zRow, e.data.pcs);
+                self.postMessage({
+                    type: 'tile_image',
+                    requestId: e.data.requestId,
+                    width: WP,
+                    height: HP,
+                    data: rgba.buffer
+                }, [rgba.buffer]);
+            } catch (err) {
+                console.error('Tile render error:', err);
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: err.message });
             }
             break;
+        }
+            
+        case 'project_image': {
+            if (!isInitialized || !e.data.pixels || e.data.pixels.length !== HP * WP * 3) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: `Image must be ${WP}x${HP} RGB` });
+                break;
+            }
+            try {
+                const zRow = await projectImage(e.data.pixels);
+                self.postMessage({
+                    type: 'projection',
+                    requestId: e.data.requestId,
+                    z: zRow,
+                    stds: sampler.stds.slice(),
+                    loadedPCs
+                }, [zRow.buffer]);
+            } catch (err) {
+                console.error('Projection error:', err);
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: err.message });
+            }
+            break;
+        }
+            
+        case 'set_interpolation':
+            sampler.setInterpolation(e.data);
+            console.log(`Latent mode: ${e.data.mode} (${sampler.keyframeCount} keyframes, ${e.data.method}, ${e.data.layout})`);
+            break;
             
         case 'update_params':
-            k = e.data.params.k;
-            s = e.data.params.s;
-            p = e.data.params.p;
-            num_pc = Math.min(e.data.params.num_pc, NUM_PCS);
-            console.log(`Params updated: k=${k}, s=${s}, p=${p}, num_pc=${num_pc}`);
+            setParams(e.data.params);
+            console.log(`Params updated: ${PCADynamics.getProcess(sampler.dynamics).schema.map(f => `${f.key}=${sampler.params[f.key]}`).join(', ')}, num_pc=${sampler.activeComponents()}`);
+            break;
+            
+        case 'set_component_gains':
+            componentGains = e.data.gains;
+            break;
+            
+        case 'set_component_offsets':
+            componentOffsets = e.data.offsets;
+            break;
+            
+        case 'set_dynamics':
+            setDynamics(e.data.dynamics);
+            console.log(`Dynamics: ${sampler.dynamics}`);
             break;
             
         case 'start_generating':
-            queueSpaceAvailable = BUFFER_SIZE;
-            continuousGenerate();
+            // One generation loop for the worker's lifetime
+            if (!isGenerating) {
+                isGenerating = true;
+                queueSpaceAvailable = BUFFER_SIZE;
+                continuousGenerate();
+            }
             break;
             
         case 'queue_has_space':
-            if (queueSpaceWaiters.length > 0) {
-                const resolve = queueSpaceWaiters.shift();
-                resolve();
-            } else {
-                queueSpaceAvailable++;
+            // Tokens from a previous epoch were already accounted for by the reset
+            if (e.data.epoch !== epoch) break;
+            releaseQueueSpace();
+            break;
+            
+        case 'attach_canvas':
+            resetBackpressure(e.data.epoch);
+            attachCanvas(e.data.canvas, e.data.steps, e.data.paused);
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
             }
             break;
+            
+        case 'detach_canvas':
+            resetBackpressure(e.data.epoch);
+            detachCanvas();
+            if (isInitialized) {
+                self.postMessage({ type: 'ready', epoch });
+            }
+            break;
+            
+        case 'set_paused':
+            if (!display) break;
+            display.paused = e.data.paused;
+            display.pauseAction = null;
+            if (!display.paused) wakeDisplayLoop();
+            break;
+            
+        case 'step_display':
+            if (!display) break;
+            display.pauseAction = 'step';
+            wakeDisplayLoop();
+            break;
+            
+        case 'set_steps':
+            if (display) display.steps = Math.max(1, e.data.steps);
+            break;
+            
+        case 'read_frame': {
+            if (!display || !display.running) {
+                self.postMessage({ type: 'error', requestId: e.data.requestId, data: 'Nothing displayed yet' });
+                break;
+            }
+            display.renderer.draw(display.curr, display.next, Math.min(display.t, 1.0));
+            const pixels = display.renderer.readPixels();
+            self.postMessage({
+                type: 'frame_pixels',
+                requestId: e.data.requestId,
+                width: display.renderer.canvas.width,
+                height: display.renderer.canvas.height,
+                data: pixels.buffer
+            }, [pixels.buffer]);
+            break;
+        }
     }
 };
\ No newline at end of file